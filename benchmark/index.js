@@ -0,0 +1,81 @@
+'use strict';
+
+// Times parsing the test cases and some large generated templates, with and
+// without the JSON round trip at the end of `parse`, and in CST mode.  The
+// source of the generated templates is passed in `src`, as pug does.
+//
+//   node benchmark [iterations]
+
+var fs = require('fs');
+var lex = require('pug-lexer');
+var parse = require('../');
+
+var iterations = +process.argv[2] || 20;
+var casesDir = __dirname + '/../test/cases';
+
+function parseNewlineJson(str) {
+  return str.split('\n').filter(Boolean).map(JSON.parse);
+}
+
+var cases = fs.readdirSync(casesDir).filter(function (name) {
+  return /\.tokens\.json$/.test(name);
+}).map(function (name) {
+  return {name: name, tokens: parseNewlineJson(fs.readFileSync(casesDir + '/' + name, 'utf8'))};
+});
+
+/**
+ * A template with `count` list items, each with attributes, text,
+ * interpolated code, a conditional and a mixin call, nested `depth` levels
+ * deep, with its tokens from pug-lexer.
+ */
+
+function generate(count, depth) {
+  var lines = [];
+  function indent(level) {
+    return new Array(level + 1).join('  ');
+  }
+  for (var level = 0; level < depth; level++) {
+    lines.push(indent(level) + (level === depth - 1 ? 'ul' : 'div') + '.level-' + level);
+  }
+  for (var i = 0; i < count; i++) {
+    var attrs = [];
+    for (var a = 0; a < 8; a++) attrs.push('data-attr-' + a + "='" + i + "'");
+    lines.push(indent(depth) + 'li(' + attrs.join(', ') + ') Item ' + i + ' is #{items[' + i + ']}');
+    lines.push(indent(depth + 1) + 'if items[' + i + '].done');
+    lines.push(indent(depth + 2) + "+badge('done', " + i + ')');
+  }
+  var src = lines.join('\n') + '\n';
+  return {name: 'generated.pug', src: src, tokens: lex(src, {filename: 'generated.pug'})};
+}
+
+function time(label, fn) {
+  fn();
+  var start = process.hrtime();
+  for (var i = 0; i < iterations; i++) fn();
+  var elapsed = process.hrtime(start);
+  var ms = (elapsed[0] * 1e3 + elapsed[1] / 1e6) / iterations;
+  console.log('  ' + label + ': ' + ms.toFixed(2) + 'ms');
+}
+
+function suite(name, inputs) {
+  console.log(name);
+  [
+    {label: 'with copy', options: {}},
+    {label: 'without copy', options: {copy: false}},
+    {label: 'cst', options: {cst: true}}
+  ].forEach(function (run) {
+    time(run.label, function () {
+      inputs.forEach(function (input) {
+        var options = {filename: input.name, src: input.src};
+        for (var key in run.options) options[key] = run.options[key];
+        parse(input.tokens.slice(), options);
+      });
+    });
+  });
+}
+
+suite('test cases (' + cases.length + ' files)', cases);
+[1000, 10000].forEach(function (count) {
+  var input = generate(count, 10);
+  suite(count + ' generated list items (' + input.tokens.length + ' tokens)', [input]);
+});
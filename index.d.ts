@@ -0,0 +1,493 @@
+// Type definitions for pug-parser.  The node shapes match `lib/schema.js`.
+
+declare namespace parse {
+  interface Position {
+    line: number;
+    column: number;
+    endLine: number;
+    endColumn: number;
+    /** The range of characters in `src`, with the `sourceMap` option. */
+    offset?: number;
+    endOffset?: number;
+  }
+
+  interface BaseNode extends Position {
+    type: string;
+    filename?: string;
+    /** Blank lines and comments before the node, in `cst` mode. */
+    leadingTrivia?: Trivia[];
+    /** Blank lines and comments at the end of a block, in `cst` mode. */
+    trailingTrivia?: Trivia[];
+  }
+
+  interface BlankLines {
+    type: 'BlankLines';
+    count: number;
+    line: number;
+  }
+
+  type Trivia = BlankLines | Comment | BlockComment;
+
+  interface Attribute extends Position {
+    name: string;
+    val: string | boolean;
+    mustEscape: boolean;
+    /**
+     * With `attributeValues`, whether `val` is a string, number or boolean
+     * literal, or a template literal without expressions.
+     */
+    constant?: boolean;
+    /** The value of `val`, if it is constant. */
+    value?: string | number | boolean;
+    /** With `attributeValues`, whether `val` is `true` or `false`, such as for `input(checked)`. */
+    isBoolean?: boolean;
+    /** For `class`, the class names, if they are all known. */
+    classes?: string[];
+    /** For `style`, the CSS properties, if they are all known. */
+    styles?: Record<string, string>;
+  }
+
+  interface Block extends BaseNode {
+    type: 'Block';
+    nodes: Node[];
+    /** The indentation of the block in `src`, in `cst` mode. */
+    indent?: string;
+  }
+
+  interface NamedBlock extends BaseNode {
+    type: 'NamedBlock';
+    name: string;
+    mode: 'replace' | 'append' | 'prepend';
+    nodes: Node[];
+    indent?: string;
+  }
+
+  interface Tag extends BaseNode {
+    type: 'Tag';
+    name: string;
+    selfClosing: boolean;
+    block: Block;
+    attrs: Attribute[];
+    attributeBlocks: string[];
+    isInline: boolean;
+    textOnly?: boolean;
+  }
+
+  interface InterpolatedTag extends BaseNode {
+    type: 'InterpolatedTag';
+    expr: string;
+    selfClosing: boolean;
+    block: Block;
+    attrs: Attribute[];
+    attributeBlocks: string[];
+    isInline: boolean;
+    textOnly?: boolean;
+  }
+
+  interface Mixin extends BaseNode {
+    type: 'Mixin';
+    name: string;
+    args: string | null;
+    /** `null` for a call without a block. */
+    block: Block | null;
+    call: boolean;
+    attrs?: Attribute[];
+    attributeBlocks?: string[];
+    textOnly?: boolean;
+  }
+
+  interface MixinBlock extends BaseNode {
+    type: 'MixinBlock';
+  }
+
+  interface YieldBlock extends BaseNode {
+    type: 'YieldBlock';
+  }
+
+  interface Text extends BaseNode {
+    type: 'Text';
+    val: string;
+    isHtml?: boolean;
+    /** Where the text came from, with the `normalizeText` option. */
+    kind?: 'piped' | 'block' | 'inline' | 'html';
+    /** Whether the text is inside `pre`, `textarea`, `script` or `style`, with the `normalizeText` option. */
+    preserveWhitespace?: boolean;
+  }
+
+  interface Code extends BaseNode {
+    type: 'Code';
+    val: string;
+    buffer: boolean;
+    mustEscape: boolean;
+    isInline: boolean;
+    debug?: boolean;
+    block?: Block;
+  }
+
+  interface Comment extends BaseNode {
+    type: 'Comment';
+    val: string;
+    buffer: boolean;
+  }
+
+  interface BlockComment extends BaseNode {
+    type: 'BlockComment';
+    val: string;
+    buffer: boolean;
+    block: Block;
+  }
+
+  interface Doctype extends BaseNode {
+    type: 'Doctype';
+    val: string;
+  }
+
+  interface Conditional extends BaseNode {
+    type: 'Conditional';
+    test: string;
+    consequent: Block;
+    alternate: Conditional | Block | null;
+  }
+
+  interface While extends BaseNode {
+    type: 'While';
+    test: string;
+    block: Block;
+  }
+
+  interface Each extends BaseNode {
+    type: 'Each';
+    obj: string;
+    val: string;
+    key: string | null;
+    block: Block;
+    alternate?: Block;
+  }
+
+  interface Case extends BaseNode {
+    type: 'Case';
+    expr: string;
+    block: Block;
+  }
+
+  interface When extends BaseNode {
+    type: 'When';
+    /** `'default'` for the default branch. */
+    expr: string;
+    /** `null` when the branch falls through to the next one. */
+    block: Block | null;
+    /** Whether the branch has no block and falls through to the next one. */
+    fallthrough: boolean;
+    debug: boolean;
+  }
+
+  interface Filter extends BaseNode {
+    type: 'Filter';
+    name: string;
+    block: Block;
+    attrs: Attribute[];
+  }
+
+  interface IncludeFilter extends BaseNode {
+    type: 'IncludeFilter';
+    name: string;
+    attrs: Attribute[];
+  }
+
+  interface FileReference extends BaseNode {
+    type: 'FileReference';
+    path: string;
+  }
+
+  interface Extends extends BaseNode {
+    type: 'Extends';
+    file: FileReference;
+  }
+
+  interface Include extends BaseNode {
+    type: 'Include';
+    file: FileReference;
+    block: Block;
+  }
+
+  interface RawInclude extends BaseNode {
+    type: 'RawInclude';
+    file: FileReference;
+    filters: IncludeFilter[];
+  }
+
+  /** Put in place of a statement that failed to parse, in `recover` mode. */
+  interface ErrorNode extends BaseNode {
+    type: 'Error';
+    code: string;
+    message: string;
+  }
+
+  type Node =
+    | Block
+    | NamedBlock
+    | Tag
+    | InterpolatedTag
+    | Mixin
+    | MixinBlock
+    | YieldBlock
+    | Text
+    | Code
+    | Comment
+    | BlockComment
+    | Doctype
+    | Conditional
+    | While
+    | Each
+    | Case
+    | When
+    | Filter
+    | IncludeFilter
+    | FileReference
+    | Extends
+    | Include
+    | RawInclude
+    | ErrorNode;
+
+  interface Token {
+    type: string;
+    line: number;
+    col?: number;
+    val?: any;
+    [key: string]: any;
+  }
+
+  interface PugError extends Error {
+    code: string;
+    msg: string;
+    line: number;
+    column: number;
+    filename: string | undefined;
+    src: string | undefined;
+  }
+
+  interface Warning {
+    code: string;
+    message: string;
+    line: number;
+    column: number;
+    filename: string | undefined;
+  }
+
+  /** Field name to type expression, as described in `lib/schema.js`. */
+  interface Fields {
+    [field: string]: string;
+  }
+
+  type PluginHandler = (parser: Parser, ...args: any[]) => any;
+
+  interface Plugin {
+    name?: string;
+    /** Handlers of plugins with a higher priority are tried first. */
+    priority?: number;
+    /**
+     * Called for every node once the top level statement holding it is parsed, children before
+     * their parents, rather than as each node is built, and for the root block last.
+     */
+    onNode?: (node: Node, parser: Parser) => void;
+    [context: string]: {[tokenType: string]: PluginHandler} | ((node: Node, parser: Parser) => void) | string | number | undefined;
+  }
+
+  interface Options {
+    filename?: string;
+    src?: string;
+    plugins?: Plugin[];
+    /** Collect errors and return `{ast, errors, warnings}` instead of throwing. */
+    recover?: boolean;
+    onWarning?: (warning: Warning) => void;
+    /** Warning codes to throw as errors, or `true` for all of them. */
+    warningsAsErrors?: boolean | string[];
+    /** Keep blank lines, comments between `when` branches and indentation. */
+    cst?: boolean;
+    /** Replace the names of inline tags, or add to and remove from the defaults. */
+    inlineTags?: string[] | {add?: string[], remove?: string[]};
+    /** Treat custom elements as inline unless `inlineTags` says otherwise, defaults to true. */
+    inlineCustomElements?: boolean;
+    /** The doctype in effect before any `doctype` line, `'xml'` lets void elements have content. */
+    doctype?: string;
+    /** Warn with `INVALID_NESTING` about tags the HTML5 content model does not allow where they are. */
+    contentModel?: boolean;
+    /** Throw `SYNTAX_ERROR` for JavaScript in the template that does not parse. */
+    checkJs?: boolean;
+    /** Warn about duplicate mixins, calls to undefined mixins and calls with too many arguments.  `parse.mixins(ast)` returns the table of mixins. */
+    checkMixins?: boolean;
+    /** Mixins provided by other files that may be called without a definition, or `true` for any. */
+    externalMixins?: boolean | string[];
+    /**
+     * Throw errors for misplaced `extends` and `yield`, dropped top level content and duplicate blocks,
+     * and warn about `append` and `prepend` in templates that do not extend another.
+     */
+    checkInheritance?: boolean;
+    /** Set `offset` and `endOffset` in `src` on every node and attribute, needs `src`. */
+    sourceMap?: boolean;
+    /** Return the AST built by the parser, made JSON safe in place, instead of a JSON copy, defaults to true. */
+    copy?: boolean;
+    /** Convert tokens from older and newer versions of pug-lexer, see `normalizeTokens`. */
+    normalizeTokens?: boolean;
+    /** Check every token with `validateTokens` before parsing, reading iterables to the end first. */
+    strictTokens?: boolean;
+    /** Merge adjacent `Text` nodes and set their `kind` and `preserveWhitespace`. */
+    normalizeText?: boolean;
+    /** Set `constant`, `value`, `isBoolean`, `classes` and `styles` on attributes. */
+    attributeValues?: boolean;
+    /** Check the result against the schema, with extra node types if given. */
+    validate?: boolean | ValidateOptions;
+  }
+
+  interface RecoverResult {
+    ast: Block;
+    errors: PugError[];
+    warnings: Warning[];
+    mixins: MixinTable;
+  }
+
+  interface MixinDefinition {
+    name: string;
+    params: string[];
+    rest: string | null;
+    line: number;
+    column: number;
+    filename?: string;
+  }
+
+  type MixinTable = {[name: string]: MixinDefinition};
+
+  interface DependencyOptions {
+    /** The file of a single AST. */
+    filename?: string;
+    /** The directory that paths starting with `/` are resolved against. */
+    basedir?: string;
+  }
+
+  interface Dependency {
+    type: 'Extends' | 'Include' | 'RawInclude';
+    path: string;
+    resolved: string;
+    filters: {name: string, attrs: Attribute[]}[];
+    line: number;
+    column: number;
+  }
+
+  interface DependencyGraph {
+    files: {[filename: string]: Dependency[]};
+    /** Chains of files that depend on themselves, with the first file repeated at the end. */
+    cycles: string[][];
+    dependencies(filename: string, transitive?: boolean): string[];
+    dependents(filename: string, transitive?: boolean): string[];
+  }
+
+  interface ValidateOptions {
+    nodes?: {[type: string]: Fields};
+  }
+
+  interface Problem {
+    path: string;
+    message: string;
+    line: number | undefined;
+    column: number | undefined;
+  }
+
+  interface WalkContext {
+    parent: Node | null;
+    key: string | null;
+    index: number | null;
+    path: (string | number)[];
+    replace(node: Node | Node[]): void;
+    remove(): void;
+    skip(): void;
+  }
+
+  type VisitorFunction<R> = (node: any, context: WalkContext) => R;
+
+  interface Visitor<R> {
+    enter?: VisitorFunction<R>;
+    exit?: VisitorFunction<R>;
+    [type: string]: VisitorFunction<R> | {enter?: VisitorFunction<R>, exit?: VisitorFunction<R>} | undefined;
+  }
+
+  interface PrintOptions {
+    indent?: string;
+  }
+
+  interface EditRange {
+    line: number;
+    endLine: number;
+  }
+
+  function async(tokens: AsyncIterable<Token> | Iterable<Token> | Iterator<Token>, options?: Options): Promise<Block | RecoverResult>;
+  function print(ast: Node, options?: PrintOptions): string;
+  function validate(ast: any, options?: ValidateOptions): Problem[];
+  function mixins(ast: Node, report?: ((code: string, message: string, node: Node) => void) | null, options?: {external?: boolean | string[]}): MixinTable;
+
+  interface TokenProblem {
+    index: number;
+    message: string;
+    line: number;
+    column: number | undefined;
+  }
+
+  /** The fields of each pug-lexer token type, in the type language of `schema`. */
+  const tokens: {[type: string]: Fields};
+  function validateTokens(tokens: any[], options?: {types?: string[]}): TokenProblem[];
+  function normalizeTokens(tokens: any[]): any[];
+
+  interface SourceMapOptions {
+    /** The generated file. */
+    file?: string;
+    /** The template. */
+    filename?: string;
+    /** The template source, included as the content of the source. */
+    src?: string;
+  }
+
+  interface RawSourceMap {
+    version: 3;
+    file?: string;
+    sources: string[];
+    sourcesContent?: string[];
+    names: string[];
+    mappings: string;
+  }
+
+  class SourceMap {
+    constructor(options?: SourceMapOptions);
+    /** Map generated code at a 1-based line and 0-based column to the start of a node or attribute. */
+    add(generated: {line: number, column: number}, node: {line: number, column: number, name?: unknown}): void;
+    toJSON(): RawSourceMap;
+    toString(): string;
+  }
+  function dependencies(asts: Node | {[filename: string]: Node}, options?: DependencyOptions): DependencyGraph;
+  function walk<T extends Node>(ast: T, visitor: Visitor<void>): Node;
+  function transform<T extends Node>(ast: T, visitor: Visitor<Node | Node[] | null | void>): Node;
+
+  const schema: {
+    common: Fields;
+    nodes: {[type: string]: Fields};
+    values: {[name: string]: Fields | string};
+  };
+
+  class Parser {
+    constructor(tokens: Token[] | Iterable<Token> | Iterator<Token>, options?: Options);
+    static reparse(previous: Block | RecoverResult, oldTokens: Token[], newTokens: Token[], range: EditRange, options?: Options): Block | RecoverResult;
+    filename: string | undefined;
+    src: string | undefined;
+    errors: PugError[];
+    warnings: Warning[];
+    parse(): Block;
+    peek(): Token;
+    lookahead(n: number): Token;
+    advance(): Token;
+    error(code: string, message: string, token: Token): never;
+    warn(code: string, message: string, token: Token): void;
+  }
+}
+
+declare function parse(tokens: parse.Token[] | Iterable<parse.Token> | Iterator<parse.Token>, options: parse.Options & {recover: true}): parse.RecoverResult;
+declare function parse(tokens: parse.Token[] | Iterable<parse.Token> | Iterator<parse.Token>, options?: parse.Options): parse.Block;
+
+export = parse;
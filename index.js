@@ -1,42 +1,283 @@
 'use strict';
 
-var assert = require('assert');
-var TokenStream = require('token-stream');
 var error = require('pug-error');
 var inlineTags = require('./lib/inline-tags');
+var voidElements = require('./lib/void-elements');
+var reparse = require('./lib/reparse');
+var ArrayStream = require('./lib/array-stream');
+var IteratorStream = require('./lib/iterator-stream');
+var readAsync = require('./lib/read-async');
+var print = require('./lib/print');
+var schema = require('./lib/schema');
+var validate = require('./lib/validate');
+var walk = require('./lib/walk');
+var checkContentModel = require('./lib/content-model');
+var checkJs = require('./lib/check-js');
+var mixinTable = require('./lib/mixins');
+var checkInheritance = require('./lib/inheritance');
+var dependencies = require('./lib/dependencies');
+var sourceMap = require('./lib/source-map');
+var plainData = require('./lib/plain-data');
+var tokens = require('./lib/tokens');
+var describeAttribute = require('./lib/attribute-value');
+var normalizeText = require('./lib/text');
+var isPosition = tokens.isPosition;
 
 module.exports = parse;
+module.exports.async = parseAsync;
+module.exports.print = print;
+module.exports.schema = schema;
+module.exports.validate = validate;
+module.exports.walk = walk.walk;
+module.exports.transform = walk.transform;
+module.exports.mixins = mixinTable;
+module.exports.dependencies = dependencies;
+module.exports.SourceMap = sourceMap.SourceMap;
+module.exports.tokens = tokens.tokens;
+module.exports.validateTokens = tokens.validateTokens;
+module.exports.normalizeTokens = tokens.normalizeTokens;
 module.exports.Parser = Parser;
 function parse(tokens, options) {
   var parser = new Parser(tokens, options);
-  var ast = parser.parse();
-  return JSON.parse(JSON.stringify(ast));
+  return result(parser, parser.parse());
 };
 
 /**
- * Initialize `Parser` with the given input `str` and `filename`.
+ * Parse tokens from an async iterable, such as a lexer that is still running,
+ * returning a promise for the same result as `parse`.
  *
- * @param {String} str
- * @param {String} filename
+ * @param {Object} tokens
+ * @param {Object} options
+ * @return {Promise}
+ * @api public
+ */
+
+function parseAsync(tokens, options) {
+  return new Promise(function (resolve) {
+    if (options && options.strictTokens) {
+      throw new Error('The "strictTokens" option needs every token up front, it cannot be used with parse.async');
+    }
+    var parser = new Parser([], options);
+    resolve(readAsync(parser, tokens, pluginTokenTypes(parser.plugins)).then(function (ast) {
+      return result(parser, ast);
+    }));
+  });
+}
+
+function result(parser, ast) {
+  ast = parser.copy ? JSON.parse(JSON.stringify(ast)) : plainData(ast);
+  parser.checkAst(ast);
+  if (parser.recover) {
+    return {ast: ast, errors: parser.errors, warnings: parser.warnings, mixins: parser.mixins};
+  }
+  return ast;
+}
+
+/**
+ * Initialize `Parser` with the given `tokens`, either an Array or an
+ * iterable (such as a generator) that is read as far as lookahead requires.
+ *
+ * @param {Array|Object} tokens
  * @param {Object} options
  * @api public
  */
 
 function Parser(tokens, options) {
   options = options || {};
-  if (!Array.isArray(tokens)) {
-    throw new Error('Expected tokens to be an Array but got "' + (typeof tokens) + '"');
-  }
   if (typeof options !== 'object') {
     throw new Error('Expected "options" to be an object but got "' + (typeof options) + '"');
   }
-  this.tokens = new TokenStream(tokens);
   this.filename = options.filename;
   this.src = options.src;
+  this.lineStarts = typeof this.src === 'string' ? sourceMap.lineStarts(this.src) : null;
   this.inMixin = 0;
   this.plugins = options.plugins || [];
+  this.handlers = sortPlugins(this.plugins);
+  this.hasNodeHooks = this.handlers.some(function (handler) {
+    return typeof handler.plugin.onNode === 'function';
+  });
+  this.lastEnd = null;
+  this.recover = !!options.recover;
+  this.errors = [];
+  this.onWarning = options.onWarning;
+  this.warningsAsErrors = options.warningsAsErrors || [];
+  this.warnings = [];
+  this.depth = 0;
+  this.cst = !!options.cst;
+  this.trivia = [];
+  this.validate = options.validate;
+  this.inlineTags = inlineTagSet(options.inlineTags);
+  this.inlineCustomElements = options.inlineCustomElements !== false;
+  this.contentModel = !!options.contentModel;
+  this.xml = isXmlDoctype(options.doctype);
+  this.checkJs = !!options.checkJs;
+  this.checkMixins = !!options.checkMixins;
+  this.externalMixins = options.externalMixins || [];
+  this.mixins = {};
+  this.checkInheritance = !!options.checkInheritance;
+  this.sourceMap = !!options.sourceMap;
+  if (this.sourceMap && typeof this.src !== 'string') {
+    throw new Error('The "src" option is required for "sourceMap"');
+  }
+  this.copy = options.copy !== false;
+  this.normalizeTokens = !!options.normalizeTokens;
+  this.strictTokens = !!options.strictTokens;
+  this.normalizeText = !!options.normalizeText;
+  this.attributeValues = !!options.attributeValues;
+  this.tokens = this.tokenStream(tokens);
 };
 
+Parser.reparse = reparse;
+
+/**
+ * Tokens that only describe layout, they do not extend the source range of
+ * the node that consumes them.
+ */
+
+var LAYOUT_TOKENS = ['newline', 'indent', 'outdent', 'eos'];
+
+/**
+ * Tokens that open and close a nested region, used to find where a statement
+ * that failed to parse ends.
+ */
+
+var OPEN_TOKENS = ['indent', 'start-pipeless-text'];
+var CLOSE_TOKENS = ['outdent', 'end-pipeless-text'];
+
+/**
+ * Build the lookup used by `Parser#isInlineTag` from the `inlineTags`
+ * option, which either replaces the default list with an array of names or
+ * changes it with `{add: [...], remove: [...]}`.
+ *
+ * @param {Array|Object} option
+ * @return {Object}
+ * @api private
+ */
+
+function inlineTagSet(option) {
+  var set = {};
+  var add = inlineTags;
+  var remove = [];
+  if (Array.isArray(option)) {
+    add = option;
+  } else if (option && typeof option === 'object') {
+    add = inlineTags.concat(option.add || []);
+    remove = option.remove || [];
+  } else if (option !== undefined) {
+    throw new Error('Expected "inlineTags" to be an array or an object but got "' + (typeof option) + '"');
+  }
+  add.forEach(function (name) {
+    set[name] = true;
+  });
+  remove.forEach(function (name) {
+    set[name] = false;
+  });
+  return set;
+}
+
+/**
+ * Names that are valid custom element names, apart from those reserved by
+ * SVG and MathML.
+ */
+
+var CUSTOM_ELEMENT = /^[a-z][a-z0-9._\u00b7\u00c0-\ufffd]*-[a-z0-9._\u00b7\u00c0-\ufffd-]*$/;
+var RESERVED_CUSTOM_ELEMENTS = [
+  'annotation-xml',
+  'color-profile',
+  'font-face',
+  'font-face-src',
+  'font-face-uri',
+  'font-face-format',
+  'font-face-name',
+  'missing-glyph'
+];
+
+/**
+ * Whether the doctype called `name` makes pug render XML, in which case
+ * void elements may have content.
+ *
+ * @param {String} name
+ * @return {Boolean}
+ * @api private
+ */
+
+function isXmlDoctype(name) {
+  return typeof name === 'string' && name.trim().toLowerCase() === 'xml';
+}
+
+/**
+ * Add `name` to the `attributeNames` of a tag, returning false if it is
+ * already there.  Plugins are given the plain array and may push to it, so
+ * the lookup table kept alongside it catches up with any names they added
+ * before each check.
+ *
+ * @param {Array} attributeNames
+ * @param {String} name
+ * @return {Boolean}
+ * @api private
+ */
+
+function addAttributeName(attributeNames, name) {
+  var lookup = attributeNames.lookup;
+  if (!lookup) {
+    lookup = {names: Object.create(null), synced: 0};
+    Object.defineProperty(attributeNames, 'lookup', {value: lookup});
+  }
+  for (; lookup.synced < attributeNames.length; lookup.synced++) {
+    lookup.names[attributeNames[lookup.synced]] = true;
+  }
+  if (lookup.names[name]) return false;
+  attributeNames.push(name);
+  lookup.names[name] = true;
+  lookup.synced++;
+  return true;
+}
+
+/**
+ * The token types that `plugins` have handlers for, which strict token
+ * checking allows.
+ *
+ * @param {Array} plugins
+ * @return {Array}
+ * @api private
+ */
+
+function pluginTokenTypes(plugins) {
+  var types = [];
+  plugins.forEach(function (plugin) {
+    Object.keys(plugin).forEach(function (context) {
+      var handlers = plugin[context];
+      if (!handlers || typeof handlers !== 'object') return;
+      Object.keys(handlers).forEach(function (type) {
+        if (types.indexOf(type) === -1) types.push(type);
+      });
+    });
+  });
+  return types;
+}
+
+/**
+ * The `plugins` from the highest `priority` (0 by default) to the lowest, and
+ * in their order in `plugins` for the same priority, each as `{plugin,
+ * index, priority}`.
+ *
+ * @param {Array} plugins
+ * @return {Array}
+ * @api private
+ */
+
+function sortPlugins(plugins) {
+  return plugins.map(function (plugin, index) {
+    return {plugin: plugin, index: index, priority: typeof plugin.priority === 'number' ? plugin.priority : 0};
+  }).sort(function (a, b) {
+    return b.priority - a.priority || a.index - b.index;
+  });
+}
+
+function pluginName(handler) {
+  return handler.plugin.name ? JSON.stringify(handler.plugin.name) : '#' + handler.index;
+}
+
 /**
  * Parser prototype.
  */
@@ -50,13 +291,176 @@ Parser.prototype = {
   constructor: Parser,
 
   error: function (code, message, token) {
-    var err = error(code, message, {
+    throw this.createError(code, message, token);
+  },
+
+  createError: function (code, message, token) {
+    return error(code, message, {
       line: token.line,
       column: token.col,
       filename: this.filename,
       src: this.src
     });
-    throw err;
+  },
+
+  /**
+   * Report a problem that does not stop parsing.
+   *
+   * Warnings are collected in `warnings` and passed to `options.onWarning`,
+   * or printed with `console.warn` if there is no handler.  Codes listed in
+   * `options.warningsAsErrors` (or every code, if it is `true`) are thrown
+   * as errors instead.
+   *
+   * @param {String} code
+   * @param {String} message
+   * @param {Object} token
+   * @api private
+   */
+
+  warn: function (code, message, token) {
+    var promote = this.warningsAsErrors === true ||
+      (Array.isArray(this.warningsAsErrors) &&
+       (this.warningsAsErrors.indexOf(code) !== -1 || this.warningsAsErrors.indexOf('PUG:' + code) !== -1));
+    if (promote) {
+      this.error(code, message, token);
+    }
+    var warning = {
+      code: 'PUG:' + code,
+      message: message,
+      line: token.line,
+      column: token.col,
+      filename: this.filename
+    };
+    this.warnings.push(warning);
+    this.reportWarning(warning);
+  },
+
+  /**
+   * Report an error about `node` from a check that runs after parsing, which
+   * is collected in `errors` in recovery mode as the AST is already built.
+   *
+   * @param {String} code
+   * @param {String} message
+   * @param {Object} node
+   * @api private
+   */
+
+  nodeError: function (code, message, node) {
+    var err = this.createError(code, message, {line: node.line, col: node.column});
+    if (!this.recover) throw err;
+    this.errors.push(err);
+  },
+
+  /**
+   * Warn about `node` from a check that runs after parsing, where warnings
+   * promoted to errors are collected in `errors` in recovery mode.
+   *
+   * @param {String} code
+   * @param {String} message
+   * @param {Object} node
+   * @api private
+   */
+
+  nodeWarning: function (code, message, node) {
+    try {
+      this.warn(code, message, {line: node.line, col: node.column});
+    } catch (err) {
+      if (!this.recover || !/^PUG:/.test(err.code)) throw err;
+      this.errors.push(err);
+    }
+  },
+
+  reportWarning: function (warning) {
+    if (typeof this.onWarning === 'function') {
+      this.onWarning(warning);
+    } else {
+      console.warn((this.filename ? this.filename + ', line ' : 'line ') + warning.line + ':\n' + warning.message);
+    }
+  },
+
+  /**
+   * With the `checkJs` option, throw a `SYNTAX_ERROR` if `src`, the
+   * JavaScript of `node` or token `tok`, is not valid as the given `kind`
+   * (see `lib/check-js.js`).  The error points into `src` when `options.src`
+   * shows where it starts, and at `tok` otherwise.
+   *
+   * @param {String} kind
+   * @param {String} src
+   * @param {Object} tok
+   * @param {String} description
+   * @param {Boolean} hasBlock
+   * @api private
+   */
+
+  checkCode: function(kind, src, tok, description, hasBlock){
+    if (!this.checkJs || typeof src !== 'string') return;
+    var problem = checkJs(kind, src, hasBlock);
+    if (!problem) return;
+    var line = tok.line;
+    var column = typeof tok.col === 'number' ? tok.col : tok.column;
+    if (typeof this.src === 'string') {
+      var sourceLine = this.src.split(/\r?\n/)[line - 1] || '';
+      var start = sourceLine.indexOf(src.split('\n')[0], (column || 1) - 1);
+      if (start !== -1) column = start + 1;
+    }
+    this.error('SYNTAX_ERROR', 'Invalid JavaScript in ' + description + ': ' + problem.message, {
+      line: line + problem.line - 1,
+      col: problem.line === 1 ? column + problem.column : problem.column + 1
+    });
+  },
+
+  /**
+   * Whether a tag called `name` is inline: it is in the `inlineTags` list,
+   * or it is a custom element that the list does not mention and the
+   * `inlineCustomElements` option has not been turned off.
+   *
+   * @param {String} name
+   * @return {Boolean}
+   * @api private
+   */
+
+  isInlineTag: function(name){
+    if (Object.prototype.hasOwnProperty.call(this.inlineTags, name)) return this.inlineTags[name];
+    return this.inlineCustomElements && CUSTOM_ELEMENT.test(name) &&
+      RESERVED_CUSTOM_ELEMENTS.indexOf(name) === -1;
+  },
+
+  /**
+   * Create the stream of `tokens`, either an Array or an iterable, converting
+   * them with `normalizeTokens` and checking them with `validateTokens` if
+   * the options say so.  Strict checking reads iterables to the end first.
+   *
+   * @param {Array|Object} list
+   * @return {Object}
+   * @api private
+   */
+
+  tokenStream: function(list){
+    var iterator = null;
+    if (Array.isArray(list)) {
+      if (this.normalizeTokens) list = tokens.normalizeTokens(list);
+    } else if (list && typeof list === 'object' && typeof list.next === 'function') {
+      iterator = list;
+    } else if (list && typeof list === 'object' && typeof Symbol === 'function' &&
+               typeof list[Symbol.iterator] === 'function') {
+      iterator = list[Symbol.iterator]();
+    } else {
+      throw new Error('Expected tokens to be an Array or an iterable but got "' + (typeof list) + '"');
+    }
+    if (iterator && this.normalizeTokens) iterator = tokens.normalizeIterator(iterator);
+    if (iterator && this.strictTokens) {
+      list = [];
+      for (var result = iterator.next(); !result.done; result = iterator.next()) list.push(result.value);
+      iterator = null;
+    }
+    if (this.strictTokens) {
+      tokens.validateTokens(list, {types: pluginTokenTypes(this.plugins)}).forEach(function (problem) {
+        var err = this.createError('INVALID_TOKEN', problem.message, {line: problem.line, col: problem.column});
+        if (!this.recover) throw err;
+        this.errors.push(err);
+      }, this);
+    }
+    return iterator ? new IteratorStream(iterator) : new ArrayStream(list);
   },
 
   /**
@@ -67,7 +471,111 @@ Parser.prototype = {
    */
 
   advance: function(){
-    return this.tokens.advance();
+    var tok = this.checkToken(this.readToken('advance'));
+    if (OPEN_TOKENS.indexOf(tok.type) !== -1) this.depth++;
+    else if (CLOSE_TOKENS.indexOf(tok.type) !== -1) this.depth--;
+    if (LAYOUT_TOKENS.indexOf(tok.type) === -1) {
+      this.lastEnd = this.tokenEnd(tok, this.readToken('peek', 0, true));
+    }
+    return tok;
+  },
+
+  /**
+   * Find the position immediately after `tok`.
+   *
+   * Lexers that record `loc.end` on tokens give exact positions, otherwise
+   * the end is taken from the start of the following token on the same line,
+   * the end of the line in `src`, or, failing that, the length of `tok.val`.
+   *
+   * @param {Object} tok
+   * @param {Object} next
+   * @return {Object}
+   * @api private
+   */
+
+  tokenEnd: function(tok, next){
+    if (tok.loc && tok.loc.end) {
+      return {line: tok.loc.end.line, column: tok.loc.end.column};
+    }
+    if (next && next.line === tok.line && typeof next.col === 'number') {
+      return {line: next.line, column: next.col};
+    }
+    if (next && next.line > tok.line && typeof next.col === 'number' &&
+        LAYOUT_TOKENS.indexOf(next.type) === -1) {
+      return {line: next.line, column: next.col};
+    }
+    var sourceLine = this.sourceLine(tok.line);
+    if (sourceLine !== undefined) {
+      return {line: tok.line, column: sourceLine.replace(/\s+$/, '').length + 1};
+    }
+    var length = typeof tok.val === 'string' ? tok.val.length : 0;
+    return {line: tok.line, column: (tok.col || 1) + length};
+  },
+
+  /**
+   * The text of line number `line` in `src`, without its line break, or
+   * `undefined` if there is no `src` or no such line.
+   *
+   * @param {Number} line
+   * @return {String}
+   * @api private
+   */
+
+  sourceLine: function(line){
+    if (!this.lineStarts || !(line >= 1 && line <= this.lineStarts.length)) return undefined;
+    var end = line < this.lineStarts.length ? this.lineStarts[line] - 1 : this.src.length;
+    return this.src.slice(this.lineStarts[line - 1], end).replace(/\r$/, '');
+  },
+
+  /**
+   * Record the end of the most recently consumed token as the end of `node`.
+   *
+   * @param {Object} node
+   * @return {Object}
+   * @api private
+   */
+
+  finishNode: function(node){
+    var end = this.lastEnd || {line: node.line, column: node.column};
+    if (end.line < node.line || (end.line === node.line && end.column < node.column)) {
+      end = {line: node.line, column: node.column};
+    }
+    node.endLine = end.line;
+    node.endColumn = end.column;
+    return node;
+  },
+
+  /**
+   * With the `attributeValues` option, add what can be known about the value
+   * of `attr` without running it (see `lib/attribute-value.js`).
+   *
+   * @param {Object} attr
+   * @return {Object}
+   * @api private
+   */
+
+  describeAttribute: function(attr){
+    return this.attributeValues ? describeAttribute(attr) : attr;
+  },
+
+  /**
+   * With the `normalizeText` option, record on each `Text` node in `nodes`
+   * the `kind` of text it came from: `'piped'`, `'block'` (after a dot),
+   * `'inline'` (after a tag on the same line) or `'html'`.  Text from nested
+   * tags already has a kind and keeps it.
+   *
+   * @param {Array} nodes
+   * @param {String} kind
+   * @return {Array}
+   * @api private
+   */
+
+  markText: function(nodes, kind){
+    if (!this.normalizeText) return nodes;
+    nodes.forEach(function (node) {
+      if (node.type === 'Text' && !node.kind) node.kind = kind;
+    });
+    return nodes;
   },
 
   /**
@@ -78,7 +586,7 @@ Parser.prototype = {
    */
 
   peek: function() {
-    return this.tokens.peek();
+    return this.checkToken(this.readToken('peek'));
   },
 
   /**
@@ -90,7 +598,71 @@ Parser.prototype = {
    */
 
   lookahead: function(n){
-    return this.tokens.lookahead(n);
+    return this.checkToken(this.readToken('lookahead', n));
+  },
+
+  /**
+   * Call `method` on the token stream, reporting a stream that ends without
+   * an `eos` token as a pug error at the end of the last token, or with
+   * `optional` returning nothing.
+   *
+   * @param {String} method
+   * @param {Number} n
+   * @param {Boolean} optional
+   * @return {Object}
+   * @api private
+   */
+
+  readToken: function(method, n, optional){
+    try {
+      return this.tokens[method](n);
+    } catch (err) {
+      if (err.code !== 'END_OF_STREAM') throw err;
+      if (optional) return;
+      var end = this.lastEnd || {line: 1, column: 1};
+      this.error('UNEXPECTED_EOS', 'Unexpected end of tokens, expected an "eos" token', {line: end.line, col: end.column});
+    }
+  },
+
+  /**
+   * Return `tok[key]`, throwing an `INVALID_TOKEN` error if it is not a
+   * string, or with `optional`, not a string, `null` or `undefined`.
+   *
+   * @param {Object} tok
+   * @param {String} key
+   * @param {Boolean} optional
+   * @return {String}
+   * @api private
+   */
+
+  tokenString: function(tok, key, optional){
+    var value = tok[key];
+    if (typeof value === 'string' || (optional && value == null)) return value;
+    this.error('INVALID_TOKEN', '"' + tok.type + '" tokens need a string "' + key + '"', tok);
+  },
+
+  /**
+   * Throw an `INVALID_TOKEN` error if `tok` is not an object with a string
+   * `type` and a position, which the rest of the parser relies on.
+   *
+   * @param {Object} tok
+   * @return {Object}
+   * @api private
+   */
+
+  checkToken: function(tok){
+    if (tok && typeof tok === 'object' && typeof tok.type === 'string' &&
+        isPosition(tok.line) && (tok.col === undefined || isPosition(tok.col))) {
+      return tok;
+    }
+    var end = this.lastEnd || {line: 1, column: 1};
+    var at = {line: end.line, col: end.column};
+    if (tok && typeof tok === 'object' && isPosition(tok.line)) {
+      at = {line: tok.line, col: isPosition(tok.col) ? tok.col : undefined};
+    }
+    var description = tok && typeof tok === 'object' && typeof tok.type === 'string'
+      ? '"' + tok.type + '" token' : 'token';
+    this.error('INVALID_TOKEN', 'Invalid ' + description + ', tokens need a string "type" and a numeric "line" and "col"', at);
   },
 
   /**
@@ -101,20 +673,230 @@ Parser.prototype = {
    */
 
   parse: function(){
-    var block = this.emptyBlock(0);
+    var block = this.root();
 
     while ('eos' != this.peek().type) {
-      if ('newline' == this.peek().type) {
+      this.parseStatement(block);
+    }
+
+    return this.complete(block);
+  },
+
+  /**
+   * Create the root block that the top-level statements are added to.
+   *
+   * @return {Object}
+   * @api private
+   */
+
+  root: function(){
+    var block = this.emptyBlock(0, 1);
+    if (this.cst) block.indent = '';
+    return block;
+  },
+
+  /**
+   * Finish the root `block` once every statement has been parsed, attaching
+   * the trivia before the end of the template in CST mode, then running the
+   * passes over the whole template.
+   *
+   * @param {Object} block
+   * @return {Object}
+   * @api private
+   */
+
+  complete: function(block){
+    if (this.cst) this.attachTrivia(block, 'trailingTrivia', this.takeTrivia(this.peek()));
+    this.finishNode(block);
+    return this.completeTemplate(block);
+  },
+
+  /**
+   * Run the checks that need the whole template `ast` and the `onNode` hooks
+   * for its root, then add source offsets for `sourceMap` and build the
+   * table of mixins in `mixins` for `checkMixins` or to return it when
+   * recovering.  Also used by `Parser.reparse` once the edited template has
+   * been put back together.
+   *
+   * @param {Object} ast
+   * @return {Object}
+   * @api private
+   */
+
+  completeTemplate: function(ast){
+    if (this.contentModel) {
+      checkContentModel(ast, function (message, node) {
+        this.nodeWarning('INVALID_NESTING', message, node);
+      }.bind(this));
+    }
+    if (this.checkInheritance) {
+      checkInheritance(ast, this.nodeError.bind(this), this.nodeWarning.bind(this));
+    }
+    if (this.normalizeText) normalizeText(ast);
+    this.runNodeHooks(ast);
+    if (this.sourceMap) sourceMap.addOffsets(ast, this.src);
+    if (this.checkMixins || this.recover) {
+      this.mixins = mixinTable(ast, this.checkMixins ? this.nodeWarning.bind(this) : null, {
+        external: this.externalMixins
+      });
+    }
+    return ast;
+  },
+
+  /**
+   * With the `validate` option, check `ast` against the schema, throwing an
+   * `INVALID_AST` error for the first problem, or collecting them all in
+   * `errors` in recovery mode.
+   *
+   * @param {Object} ast
+   * @api private
+   */
+
+  checkAst: function(ast){
+    if (!this.validate) return;
+    validate(ast, this.validate === true ? {} : this.validate).forEach(function (problem) {
+      var err = error('INVALID_AST', (problem.path || 'ast') + ': ' + problem.message, {
+        line: problem.line,
+        column: problem.column,
+        filename: this.filename,
+        src: this.src
+      });
+      if (!this.recover) throw err;
+      this.errors.push(err);
+    }, this);
+  },
+
+  /**
+   * newline | text-html | expr
+   *
+   * In recovery mode a pug error thrown while parsing the statement is
+   * recorded in `errors` and replaced by an `Error` node, then the tokens up
+   * to the next newline or outdent at the same depth are skipped.
+   *
+   * In CST mode the blank lines before the statement are attached to its
+   * first node as `leadingTrivia`.
+   *
+   * @param {Object} block
+   * @api private
+   */
+
+  parseStatement: function(block){
+    var start = this.peek();
+    var depth = this.depth;
+    var inMixin = this.inMixin;
+    var count = block.nodes.length;
+    var topLevel = depth === 0;
+    var trivia = this.cst && 'newline' != start.type ? this.takeTrivia(start) : [];
+    try {
+      if ('newline' == start.type) {
         this.advance();
-      } else if ('text-html' == this.peek().type) {
+      } else if ('text-html' == start.type) {
         block.nodes = block.nodes.concat(this.parseTextHtml());
       } else {
         var expr = this.parseExpr();
         if (expr) block.nodes.push(expr);
       }
+    } catch (err) {
+      if (!this.recover || !/^PUG:/.test(err.code)) throw err;
+      this.errors.push(err);
+      this.inMixin = inMixin;
+      if (this.peek() === start) this.advance();
+      this.synchronize(depth);
+      block.nodes.push(this.finishNode({
+        type: 'Error',
+        code: err.code,
+        message: err.msg,
+        line: start.line,
+        column: start.col,
+        filename: this.filename
+      }));
+    }
+    if (block.nodes.length > count) {
+      this.attachTrivia(block.nodes[count], 'leadingTrivia', trivia);
+    } else {
+      this.trivia = trivia.concat(this.trivia);
+    }
+    if (topLevel && this.hasNodeHooks) {
+      for (var i = count; i < block.nodes.length; i++) {
+        walk.walk(block.nodes[i], {exit: this.runNodeHooks.bind(this)});
+      }
     }
+  },
 
-    return block;
+  /**
+   * Call the `onNode(node, parser)` hook of each plugin.  Hooks are called
+   * for every node once the top level statement that contains it has been
+   * parsed, children before their parents, and for the root block last.
+   * They are not called as each node is built: by the end of the statement
+   * every node is complete, with its children and end position, and a
+   * statement that is parsed again (in recovery mode or by `parse.async`)
+   * has not called them yet.
+   *
+   * @param {Object} node
+   * @api private
+   */
+
+  runNodeHooks: function(node){
+    for (var i = 0; i < this.handlers.length; i++) {
+      var plugin = this.handlers[i].plugin;
+      if (typeof plugin.onNode === 'function') plugin.onNode(node, this);
+    }
+  },
+
+  /**
+   * Return the trivia waiting to be attached to the next node, adding a
+   * `BlankLines` entry for any lines between the last consumed token and
+   * `tok` that held no tokens.
+   *
+   * @param {Object} tok
+   * @return {Array}
+   * @api private
+   */
+
+  takeTrivia: function(tok){
+    var trivia = this.trivia;
+    var previous = this.lastEnd ? this.lastEnd.line : 0;
+    if (tok.line - previous > 1) {
+      trivia.push({type: 'BlankLines', count: tok.line - previous - 1, line: previous + 1});
+    }
+    this.trivia = [];
+    return trivia;
+  },
+
+  attachTrivia: function(node, key, trivia){
+    if (trivia.length) node[key] = (node[key] || []).concat(trivia);
+  },
+
+  /**
+   * The whitespace before the token on `line` in `src`, recorded on blocks in
+   * CST mode so that the original indentation can be reproduced.
+   *
+   * @param {Number} line
+   * @return {String}
+   * @api private
+   */
+
+  indentation: function(line){
+    if (typeof this.src !== 'string') return undefined;
+    return /^\s*/.exec(this.sourceLine(line) || '')[0];
+  },
+
+  /**
+   * Skip tokens until the next newline, outdent or eos at `depth`, or until
+   * the nested region that the failed statement opened has been closed.
+   *
+   * @param {Number} depth
+   * @api private
+   */
+
+  synchronize: function(depth){
+    while (true) {
+      var type = this.peek().type;
+      if (type === 'eos') return;
+      if (this.depth <= depth && (type === 'newline' || type === 'outdent')) return;
+      var tok = this.advance();
+      if (this.depth <= depth && CLOSE_TOKENS.indexOf(tok.type) !== -1) return;
+    }
   },
 
   /**
@@ -145,37 +927,75 @@ Parser.prototype = {
     }
   },
 
-  initBlock: function(line, nodes) {
+  initBlock: function(line, nodes, column) {
     /* istanbul ignore if */
     if ((line | 0) !== line) throw new Error('`line` is not an integer');
     /* istanbul ignore if */
     if (!Array.isArray(nodes)) throw new Error('`nodes` is not an array');
+    var last = nodes[nodes.length - 1];
     return {
       type: 'Block',
       nodes: nodes,
       line: line,
-      filename: this.filename
+      column: column,
+      filename: this.filename,
+      endLine: last ? last.endLine : line,
+      endColumn: last ? last.endColumn : column
     };
   },
 
-  emptyBlock: function(line) {
-    return this.initBlock(line, []);
+  emptyBlock: function(line, column) {
+    return this.initBlock(line, [], column);
   },
 
+  /**
+   * Offer `tok` to the plugin handlers for `context`, returning the result
+   * of the handler that claims it.
+   *
+   * Handlers are tried from the highest `priority` (a number on the plugin,
+   * 0 by default) to the lowest, and in the order of `plugins` for the same
+   * priority.  A handler claims the token by returning a truthy value, or by
+   * consuming tokens, and defers to the next handler otherwise.  Once a token
+   * has been claimed, handlers with the same priority are still offered it if
+   * it has not been consumed, and it is an error for one of them to claim it
+   * as well.
+   *
+   * @param {String} context
+   * @param {Object} tok
+   * @return {*}
+   * @api private
+   */
+
   runPlugin: function(context, tok) {
     var rest = [this];
     for (var i = 2; i < arguments.length; i++) {
       rest.push(arguments[i]);
     }
-    var pluginContext;
-    for (var i = 0; i < this.plugins.length; i++) {
-      var plugin = this.plugins[i];
-      if (plugin[context] && plugin[context][tok.type]) {
-        if (pluginContext) throw new Error('Multiple plugin handlers found for context ' + JSON.stringify(context) + ', token type ' + JSON.stringify(tok.type));
-        pluginContext = plugin[context];
+    var handlers = this.handlers.filter(function (handler) {
+      return handler.plugin[context] && handler.plugin[context][tok.type];
+    });
+    var start = this.peek();
+    var claimed = null;
+    var result;
+    for (var i = 0; i < handlers.length; i++) {
+      var handler = handlers[i];
+      if (claimed && (handler.priority !== claimed.priority || this.peek() !== start)) break;
+      var pluginContext = handler.plugin[context];
+      var value = pluginContext[tok.type].apply(pluginContext, rest);
+      if (value) {
+        if (claimed) {
+          throw new Error('Plugin handlers ' + pluginName(claimed) + ' and ' + pluginName(handler) +
+                          ' both claimed the token for context ' + JSON.stringify(context) +
+                          ', token type ' + JSON.stringify(tok.type) +
+                          '; give one of them a higher priority');
+        }
+        claimed = handler;
+        result = value;
+      } else if (!claimed && this.peek() !== start) {
+        return value;
       }
     }
-    if (pluginContext) return pluginContext[tok.type].apply(pluginContext, rest);
+    return result;
   },
 
   /**
@@ -223,7 +1043,8 @@ Parser.prototype = {
       case 'start-pug-interpolation':
         return this.parseText({block: true});
       case 'text-html':
-        return this.initBlock(this.peek().line, this.parseTextHtml());
+        var tok = this.peek();
+        return this.initBlock(tok.line, this.parseTextHtml(), tok.col);
       case 'dot':
         return this.parseDot();
       case 'each':
@@ -248,6 +1069,7 @@ Parser.prototype = {
           type: 'tag',
           val: 'div',
           line: this.peek().line,
+          col: this.peek().col,
           filename: this.filename
         });
         return this.parseExpr();
@@ -270,30 +1092,38 @@ Parser.prototype = {
   parseText: function(options){
     var tags = [];
     var lineno = this.peek().line;
+    var column = this.peek().col;
     var nextTok = this.peek();
+    // in CST mode, the blank lines between piped lines
+    var trivia = [];
     loop:
       while (true) {
         switch (nextTok.type) {
           case 'text':
             var tok = this.advance();
-            tags.push({
+            tags.push(this.finishNode({
               type: 'Text',
-              val: tok.val,
+              val: this.tokenString(tok, 'val'),
               line: tok.line,
+              column: tok.col,
               filename: this.filename
-            });
+            }));
+            this.attachTrivia(tags[tags.length - 1], 'leadingTrivia', trivia);
+            trivia = [];
             break;
           case 'interpolated-code':
             var tok = this.advance();
-            tags.push({
+            this.checkCode('expression', tok.val, tok, 'interpolation');
+            tags.push(this.finishNode({
               type: 'Code',
               val: tok.val,
               buffer: tok.buffer,
               mustEscape: tok.mustEscape !== false,
               isInline: true,
               line: tok.line,
+              column: tok.col,
               filename: this.filename
-            });
+            }));
             break;
           case 'newline':
             if (!options || !options.block) break loop;
@@ -303,13 +1133,18 @@ Parser.prototype = {
                 type: 'Text',
                 val: '\n',
                 line: tok.line,
-                filename: this.filename
+                column: tok.col,
+                filename: this.filename,
+                endLine: tok.line,
+                endColumn: tok.col
               });
+              if (this.cst) trivia = this.takeTrivia(this.peek());
             }
             break;
           case 'start-pug-interpolation':
             this.advance();
-            tags.push(this.parseExpr());
+            var expr = this.parseExpr();
+            if (expr) tags.push(expr);
             this.expect('end-pug-interpolation');
             break;
           default:
@@ -319,8 +1154,9 @@ Parser.prototype = {
         }
         nextTok = this.peek();
       }
+    this.markText(tags, options && options.block ? 'piped' : 'inline');
     if (tags.length === 1) return tags[0];
-    else return this.initBlock(lineno, tags);
+    else return this.initBlock(lineno, tags, column);
   },
 
   parseTextHtml: function () {
@@ -334,25 +1170,33 @@ loop:
           if (!currentNode) {
             currentNode = {
               type: 'Text',
-              val: text.val,
+              val: this.tokenString(text, 'val'),
               filename: this.filename,
               line: text.line,
+              column: text.col,
               isHtml: true
             };
             nodes.push(currentNode);
           } else {
-            currentNode.val += '\n' + text.val;
+            currentNode.val += '\n' + this.tokenString(text, 'val');
           }
+          this.finishNode(currentNode);
           break;
         case 'indent':
           var block = this.block();
           block.nodes.forEach(function (node) {
             if (node.isHtml) {
               if (!currentNode) {
-                currentNode = node;
+                // a copy, as the text of later lines is added to it
+                currentNode = {};
+                Object.keys(node).forEach(function (key) {
+                  currentNode[key] = node[key];
+                });
                 nodes.push(currentNode);
               } else {
                 currentNode.val += '\n' + node.val;
+                currentNode.endLine = node.endLine;
+                currentNode.endColumn = node.endColumn;
               }
             } else {
               currentNode = null;
@@ -368,10 +1212,15 @@ loop:
           this.advance();
           break;
         default:
+          var pluginResult = this.runPlugin('textHtmlTokens', this.peek(), nodes);
+          if (pluginResult) {
+            currentNode = null;
+            break;
+          }
           break loop;
       }
     }
-    return nodes;
+    return this.markText(nodes, 'html');
   },
 
   /**
@@ -382,7 +1231,7 @@ loop:
   parseBlockExpansion: function(){
     var tok = this.accept(':');
     if (tok) {
-      return this.initBlock(tok.line, [this.parseExpr()]);
+      return this.initBlock(tok.line, [this.parseExpr()], tok.col);
     } else {
       return this.block();
     }
@@ -394,21 +1243,35 @@ loop:
 
   parseCase: function(){
     var tok = this.expect('case');
-    var node = {type: 'Case', expr: tok.val, line: tok.line, filename: this.filename};
-
-    var block = this.emptyBlock(tok.line + 1);
-    this.expect('indent');
+    this.checkCode('expression', tok.val, tok, 'case');
+    var node = {type: 'Case', expr: tok.val, line: tok.line, column: tok.col, filename: this.filename};
+
+    var indent = this.expect('indent');
+    var block = this.emptyBlock(tok.line + 1, indent.col);
+    if (this.cst) block.indent = this.indentation(indent.line);
+    // tracked by token, as a `when default` also has the `expr` "default"
+    var defaults = [];
     while ('outdent' != this.peek().type) {
       switch (this.peek().type) {
         case 'comment':
+          // comments between branches are not part of the AST, but are kept
+          // as trivia of the next branch in CST mode
+          if (this.cst) {
+            var trivia = this.takeTrivia(this.peek());
+            this.trivia = trivia.concat([this.parseComment()]);
+            break;
+          }
         case 'newline':
           this.advance();
           break;
         case 'when':
-          block.nodes.push(this.parseWhen());
-          break;
         case 'default':
-          block.nodes.push(this.parseDefault());
+          var trivia = this.cst ? this.takeTrivia(this.peek()) : [];
+          var isDefault = 'default' == this.peek().type;
+          var branch = isDefault ? this.parseDefault() : this.parseWhen();
+          this.attachTrivia(branch, 'leadingTrivia', trivia);
+          block.nodes.push(branch);
+          if (isDefault) defaults.push(branch);
           break;
         default:
           var pluginResult = this.runPlugin('caseTokens', this.peek(), block);
@@ -417,11 +1280,42 @@ loop:
                           + '", expected "when", "default" or "newline"', this.peek());
       }
     }
+    this.attachTrivia(block, 'trailingTrivia', this.trivia);
+    this.trivia = [];
     this.expect('outdent');
 
-    node.block = block;
+    node.block = this.finishNode(block);
+    this.checkDefaults(block.nodes, defaults);
 
-    return node;
+    return this.finishNode(node);
+  },
+
+  /**
+   * Report the `default` branches of a case that are not the only one, or
+   * not the last one, as errors, and warn about each `when` after a
+   * `default`, which is never reached.  Errors are collected in `errors`
+   * in recovery mode so that the rest of the case is kept.
+   *
+   * @param {Array} branches
+   * @param {Array} defaults
+   * @api private
+   */
+
+  checkDefaults: function(branches, defaults){
+    if (!defaults.length) return;
+    var first = defaults[0];
+    var unreachable = branches.slice(branches.indexOf(first) + 1).filter(function (branch) {
+      return branch.type === 'When' && defaults.indexOf(branch) === -1;
+    });
+    unreachable.forEach(function (branch) {
+      this.nodeWarning('UNREACHABLE_WHEN', 'This "when" comes after the "default" on line ' + first.line + ' and is never reached', branch);
+    }, this);
+    defaults.slice(1).forEach(function (branch) {
+      this.nodeError('DUPLICATE_DEFAULT', 'A "case" can only have one "default", there is already one on line ' + first.line, branch);
+    }, this);
+    if (unreachable.length) {
+      this.nodeError('MISPLACED_DEFAULT', '"default" must be the last branch of a "case"', first);
+    }
   },
 
   /**
@@ -430,23 +1324,30 @@ loop:
 
   parseWhen: function(){
     var tok = this.expect('when');
+    this.checkCode('expression', tok.val, tok, 'when');
     if (this.peek().type !== 'newline') {
-      return {
+      return this.finishNode({
         type: 'When',
         expr: tok.val,
         block: this.parseBlockExpansion(),
+        fallthrough: false,
         debug: false,
         line: tok.line,
+        column: tok.col,
         filename: this.filename
-      };
+      });
     } else {
-      return {
+      // a `when` without a block falls through to the next branch
+      return this.finishNode({
         type: 'When',
         expr: tok.val,
+        block: null,
+        fallthrough: true,
         debug: false,
         line: tok.line,
+        column: tok.col,
         filename: this.filename
-      };
+      });
     }
   },
 
@@ -456,14 +1357,16 @@ loop:
 
   parseDefault: function(){
     var tok = this.expect('default');
-    return {
+    return this.finishNode({
       type: 'When',
       expr: 'default',
       block: this.parseBlockExpansion(),
+      fallthrough: false,
       debug: false,
       line: tok.line,
+      column: tok.col,
       filename: this.filename
-    };
+    });
   },
 
   /**
@@ -472,25 +1375,31 @@ loop:
 
   parseCode: function(noBlock){
     var tok = this.expect('code');
-    assert(typeof tok.mustEscape === 'boolean', 'Please update to the newest version of pug-lexer.');
+    if (typeof tok.mustEscape !== 'boolean') {
+      this.error('INVALID_TOKEN', 'Please update to the newest version of pug-lexer or use the "normalizeTokens" option, "code" tokens need a boolean "mustEscape".', tok);
+    }
     var node = {
       type: 'Code',
-      val: tok.val,
+      val: this.tokenString(tok, 'val'),
       buffer: tok.buffer,
       mustEscape: tok.mustEscape !== false,
       isInline: !!noBlock,
       line: tok.line,
+      column: tok.col,
       filename: this.filename
     };
     // todo: why is this here?  It seems like a hacky workaround
     if (node.val.match(/^ *else/)) node.debug = false;
 
-    if (noBlock) return node;
-
     var block;
 
     // handle block
-    block = 'indent' == this.peek().type;
+    block = !noBlock && 'indent' == this.peek().type;
+    if (tok.buffer) this.checkCode('expression', tok.val, tok, 'buffered code');
+    else this.checkCode('statement', tok.val, tok, 'code', block);
+
+    if (noBlock) return this.finishNode(node);
+
     if (block) {
       if (tok.buffer) {
         this.error('BLOCK_IN_BUFFERED_CODE', 'Buffered code cannot have a block attached to it', this.peek());
@@ -498,16 +1407,18 @@ loop:
       node.block = this.block();
     }
 
-    return node;
+    return this.finishNode(node);
   },
   parseConditional: function(){
     var tok = this.expect('if');
+    this.checkCode('expression', tok.val, tok, 'if condition');
     var node = {
       type: 'Conditional',
       test: tok.val,
-      consequent: this.emptyBlock(tok.line),
+      consequent: this.emptyBlock(tok.line, tok.col),
       alternate: null,
       line: tok.line,
+      column: tok.col,
       filename: this.filename
     };
 
@@ -517,43 +1428,61 @@ loop:
     }
 
     var currentNode = node;
+    var chain = [node];
     while (true) {
       if (this.peek().type === 'newline') {
         this.expect('newline');
       } else if (this.peek().type === 'else-if') {
+        var trivia = this.cst ? this.takeTrivia(this.peek()) : [];
         tok = this.expect('else-if');
+        this.checkCode('expression', tok.val, tok, 'else if condition');
         currentNode = (
           currentNode.alternate = {
             type: 'Conditional',
             test: tok.val,
-            consequent: this.emptyBlock(tok.line),
+            consequent: this.emptyBlock(tok.line, tok.col),
             alternate: null,
             line: tok.line,
+            column: tok.col,
             filename: this.filename
           }
         );
+        chain.push(currentNode);
+        this.attachTrivia(currentNode, 'leadingTrivia', trivia);
         if ('indent' == this.peek().type) {
           currentNode.consequent = this.block();
         }
       } else if (this.peek().type === 'else') {
+        var trivia = this.cst ? this.takeTrivia(this.peek()) : [];
         this.expect('else');
         if (this.peek().type === 'indent') {
           currentNode.alternate = this.block();
+          this.attachTrivia(currentNode.alternate, 'leadingTrivia', trivia);
+        } else {
+          this.trivia = trivia;
         }
         break;
       } else {
-        break;
+        var pluginResult = this.runPlugin('conditionalTokens', this.peek(), node, currentNode);
+        if (!pluginResult) break;
       }
     }
 
+    // every link in an `else if` chain ends where the whole chain ends
+    for (var i = 0; i < chain.length; i++) {
+      this.finishNode(chain[i]);
+    }
+
     return node;
   },
   parseWhile: function(){
     var tok = this.expect('while');
+    this.checkCode('expression', tok.val, tok, 'while condition');
     var node = {
       type: 'While',
       test: tok.val,
       line: tok.line,
+      column: tok.col,
       filename: this.filename
     };
 
@@ -561,10 +1490,10 @@ loop:
     if ('indent' == this.peek().type) {
       node.block = this.block();
     } else {
-      node.block = this.emptyBlock(tok.line);
+      node.block = this.emptyBlock(tok.line, tok.col);
     }
 
-    return node;
+    return this.finishNode(node);
   },
 
   /**
@@ -572,11 +1501,14 @@ loop:
    */
 
   parseBlockCode: function(){
-    var line = this.expect('blockcode').line;
+    var tok = this.expect('blockcode');
+    var line = tok.line;
+    var column = tok.col;
     var body = this.peek();
     var text = '';
     if (body.type === 'start-pipeless-text') {
       this.advance();
+      var start = this.peek();
       while (this.peek().type !== 'end-pipeless-text') {
         var tok = this.advance();
         switch (tok.type) {
@@ -596,16 +1528,18 @@ loop:
         }
       }
       this.advance();
+      this.checkCode('statement', text, start, 'code block');
     }
-    return {
+    return this.finishNode({
       type: 'Code',
       val: text,
       buffer: false,
       mustEscape: false,
       isInline: false,
       line: line,
+      column: column,
       filename: this.filename
-    };
+    });
   },
   /**
    * comment
@@ -615,22 +1549,24 @@ loop:
     var tok = this.expect('comment');
     var block;
     if (block = this.parseTextBlock()) {
-      return {
+      return this.finishNode({
         type: 'BlockComment',
         val: tok.val,
         block: block,
         buffer: tok.buffer,
         line: tok.line,
+        column: tok.col,
         filename: this.filename
-      };
+      });
     } else {
-      return {
+      return this.finishNode({
         type: 'Comment',
         val: tok.val,
         buffer: tok.buffer,
         line: tok.line,
+        column: tok.col,
         filename: this.filename
-      };
+      });
     }
   },
 
@@ -640,12 +1576,14 @@ loop:
 
   parseDoctype: function(){
     var tok = this.expect('doctype');
-    return {
+    this.xml = isXmlDoctype(tok.val);
+    return this.finishNode({
       type: 'Doctype',
       val: tok.val,
       line: tok.line,
+      column: tok.col,
       filename: this.filename
-    };
+    });
   },
 
   parseIncludeFilter: function() {
@@ -656,13 +1594,16 @@ loop:
       attrs = this.attrs();
     }
 
-    return {
+    var node = {
       type: 'IncludeFilter',
       name: tok.val,
       attrs: attrs,
       line: tok.line,
+      column: tok.col,
       filename: this.filename
     };
+    while (this.runPlugin('includeFilterTokens', this.peek(), node));
+    return this.finishNode(node);
   },
 
   /**
@@ -679,28 +1620,31 @@ loop:
 
     if (this.peek().type === 'text') {
       var textToken = this.advance();
-      block = this.initBlock(textToken.line, [
-        {
+      block = this.initBlock(textToken.line, this.markText([
+        this.finishNode({
           type: 'Text',
-          val: textToken.val,
+          val: this.tokenString(textToken, 'val'),
           line: textToken.line,
+          column: textToken.col,
           filename: this.filename
-        }
-      ]);
+        })
+      ], 'inline'), textToken.col);
     } else if (this.peek().type === 'filter') {
-      block = this.initBlock(tok.line, [this.parseFilter()]);
+      var column = this.peek().col;
+      block = this.initBlock(tok.line, [this.parseFilter()], column);
     } else {
-      block = this.parseTextBlock() || this.emptyBlock(tok.line);
+      block = this.parseTextBlock() || this.emptyBlock(tok.line, tok.col);
     }
 
-    return {
+    return this.finishNode({
       type: 'Filter',
       name: tok.val,
       block: block,
       attrs: attrs,
       line: tok.line,
+      column: tok.col,
       filename: this.filename
-    };
+    });
   },
 
   /**
@@ -709,6 +1653,7 @@ loop:
 
   parseEach: function(){
     var tok = this.expect('each');
+    this.checkCode('expression', tok.code, tok, 'each');
     var node = {
       type: 'Each',
       obj: tok.code,
@@ -716,13 +1661,21 @@ loop:
       key: tok.key,
       block: this.block(),
       line: tok.line,
+      column: tok.col,
       filename: this.filename
     };
-    if (this.peek().type == 'else') {
-      this.advance();
-      node.alternate = this.block();
+    while (true) {
+      if (this.peek().type == 'else') {
+        var trivia = this.cst ? this.takeTrivia(this.peek()) : [];
+        this.advance();
+        node.alternate = this.block();
+        this.attachTrivia(node.alternate, 'leadingTrivia', trivia);
+        break;
+      }
+      var pluginResult = this.runPlugin('eachTokens', this.peek(), node);
+      if (!pluginResult) break;
     }
-    return node;
+    return this.finishNode(node);
   },
 
   /**
@@ -732,17 +1685,19 @@ loop:
   parseExtends: function(){
     var tok = this.expect('extends');
     var path = this.expect('path');
-    return {
+    return this.finishNode({
       type: 'Extends',
-      file: {
+      file: this.finishNode({
         type: 'FileReference',
-        path: path.val.trim(),
-        line: tok.line,
+        path: this.tokenString(path, 'val').trim(),
+        line: path.line,
+        column: path.col,
         filename: this.filename
-      },
+      }),
       line: tok.line,
+      column: tok.col,
       filename: this.filename
-    };
+    });
   },
 
   /**
@@ -752,13 +1707,14 @@ loop:
   parseBlock: function(){
     var tok = this.expect('block');
 
-    var node = 'indent' == this.peek().type ? this.block() : this.emptyBlock(tok.line);
+    var node = 'indent' == this.peek().type ? this.block() : this.emptyBlock(tok.line, tok.col);
     node.type = 'NamedBlock';
-    node.name = tok.val.trim();
+    node.name = this.tokenString(tok, 'val').trim();
     node.mode = tok.mode;
     node.line = tok.line;
+    node.column = tok.col;
 
-    return node;
+    return this.finishNode(node);
   },
 
   parseMixinBlock: function () {
@@ -766,12 +1722,12 @@ loop:
     if (!this.inMixin) {
       this.error('BLOCK_OUTISDE_MIXIN', 'Anonymous blocks are not allowed unless they are part of a mixin.', tok);
     }
-    return {type: 'MixinBlock', line: tok.line, filename: this.filename};
+    return this.finishNode({type: 'MixinBlock', line: tok.line, column: tok.col, filename: this.filename});
   },
 
   parseYield: function() {
     var tok = this.expect('yield');
-    return {type: 'YieldBlock', line: tok.line, filename: this.filename};
+    return this.finishNode({type: 'YieldBlock', line: tok.line, column: tok.col, filename: this.filename});
   },
 
   /**
@@ -785,27 +1741,34 @@ loop:
       file: {
         type: 'FileReference',
         line: tok.line,
+        column: tok.col,
         filename: this.filename
       },
       line: tok.line,
+      column: tok.col,
       filename: this.filename
     };
     var filters = [];
-    while (this.peek().type === 'filter') {
-      filters.push(this.parseIncludeFilter());
+    while (this.peek().type !== 'path') {
+      if (this.peek().type === 'filter') {
+        filters.push(this.parseIncludeFilter());
+        continue;
+      }
+      var pluginResult = this.runPlugin('includeTokens', this.peek(), node, filters);
+      if (!pluginResult) break;
     }
     var path = this.expect('path');
 
-    node.file.path = path.val.trim();
+    node.file.path = this.tokenString(path, 'val').trim();
+    node.file.line = path.line;
+    node.file.column = path.col;
+    this.finishNode(node.file);
 
     if ((/\.jade$/.test(node.file.path) || /\.pug$/.test(node.file.path)) && !filters.length) {
-      node.block = 'indent' == this.peek().type ? this.block() : this.emptyBlock(tok.line);
       if (/\.jade$/.test(node.file.path)) {
-        console.warn(
-          this.filename + ', line ' + tok.line +
-          ':\nThe .jade extension is deprecated, use .pug for "' + node.file.path +'".'
-        );
+        this.warn('JADE_EXTENSION', 'The .jade extension is deprecated, use .pug for "' + node.file.path +'".', path);
       }
+      node.block = 'indent' == this.peek().type ? this.block() : this.emptyBlock(tok.line, tok.col);
     } else {
       node.type = 'RawInclude';
       node.filters = filters;
@@ -813,7 +1776,7 @@ loop:
         this.error('RAW_INCLUDE_BLOCK', 'Raw inclusion cannot contain a block', this.peek());
       }
     }
-    return node;
+    return this.finishNode(node);
   },
 
   /**
@@ -823,16 +1786,18 @@ loop:
   parseCall: function(){
     var tok = this.expect('call');
     var name = tok.val;
-    var args = tok.args;
+    var args = this.tokenString(tok, 'args', true);
+    if (args) this.checkCode('args', args, tok, 'arguments of mixin ' + name);
     var mixin = {
       type: 'Mixin',
       name: name,
       args: args,
-      block: this.emptyBlock(tok.line),
+      block: this.emptyBlock(tok.line, tok.col),
       call: true,
       attrs: [],
       attributeBlocks: [],
       line: tok.line,
+      column: tok.col,
       filename: this.filename
     };
 
@@ -842,7 +1807,7 @@ loop:
       delete mixin.code;
     }
     if (mixin.block.nodes.length === 0) mixin.block = null;
-    return mixin;
+    return this.finishNode(mixin);
   },
 
   /**
@@ -852,21 +1817,26 @@ loop:
   parseMixin: function(){
     var tok = this.expect('mixin');
     var name = tok.val;
-    var args = tok.args;
+    var args = this.tokenString(tok, 'args', true);
+    if (args) this.checkCode('params', args, tok, 'parameters of mixin ' + name);
+
+    var mixin = {
+      type: 'Mixin',
+      name: name,
+      args: args,
+      block: null,
+      call: false,
+      line: tok.line,
+      column: tok.col,
+      filename: this.filename
+    };
+    while ('indent' != this.peek().type && this.runPlugin('mixinTokens', this.peek(), mixin));
 
     if ('indent' == this.peek().type) {
       this.inMixin++;
-      var mixin = {
-        type: 'Mixin',
-        name: name,
-        args: args,
-        block: this.block(),
-        call: false,
-        line: tok.line,
-        filename: this.filename
-      };
+      mixin.block = this.block();
       this.inMixin--;
-      return mixin;
+      return this.finishNode(mixin);
     } else {
       this.error('MIXIN_WITHOUT_BODY', 'Mixin ' + name + ' declared without body', tok);
     }
@@ -879,30 +1849,33 @@ loop:
   parseTextBlock: function(){
     var tok = this.accept('start-pipeless-text');
     if (!tok) return;
-    var block = this.emptyBlock(tok.line);
+    var block = this.emptyBlock(tok.line, tok.col);
     while (this.peek().type !== 'end-pipeless-text') {
       var tok = this.advance();
       switch (tok.type) {
         case 'text':
-          block.nodes.push({type: 'Text', val: tok.val, line: tok.line});
+          block.nodes.push(this.finishNode({type: 'Text', val: this.tokenString(tok, 'val'), line: tok.line, column: tok.col, filename: this.filename}));
           break;
         case 'newline':
-          block.nodes.push({type: 'Text', val: '\n', line: tok.line});
+          block.nodes.push({type: 'Text', val: '\n', line: tok.line, column: tok.col, filename: this.filename, endLine: tok.line, endColumn: tok.col});
           break;
         case 'start-pug-interpolation':
-          block.nodes.push(this.parseExpr());
+          var expr = this.parseExpr();
+          if (expr) block.nodes.push(expr);
           this.expect('end-pug-interpolation');
           break;
         case 'interpolated-code':
-          block.nodes.push({
+          this.checkCode('expression', tok.val, tok, 'interpolation');
+          block.nodes.push(this.finishNode({
             type: 'Code',
             val: tok.val,
             buffer: tok.buffer,
             mustEscape: tok.mustEscape !== false,
             isInline: true,
             line: tok.line,
+            column: tok.col,
             filename: this.filename
-          });
+          }));
           break;
         default:
           var pluginResult = this.runPlugin('textBlockTokens', tok, block, tok);
@@ -911,7 +1884,8 @@ loop:
       }
     }
     this.advance();
-    return block;
+    this.markText(block.nodes, 'block');
+    return this.finishNode(block);
   },
 
   /**
@@ -920,19 +1894,31 @@ loop:
 
   block: function(){
     var tok = this.expect('indent');
-    var block = this.emptyBlock(tok.line);
+    var block = this.emptyBlock(tok.line, tok.col);
+    if (this.cst) block.indent = this.indentation(tok.line);
+    return this.blockStatements(block);
+  },
+
+  /**
+   * The statements of `block` up to the `outdent` that ends it.  `parse.async`
+   * resumes a block here when the parser is taken back to the start of a
+   * statement that contains it.
+   *
+   * @param {Object} block
+   * @return {Object}
+   * @api private
+   */
+
+  blockStatements: function(block){
     while ('outdent' != this.peek().type) {
-      if ('newline' == this.peek().type) {
-        this.advance();
-      } else if ('text-html' == this.peek().type) {
-        block.nodes = block.nodes.concat(this.parseTextHtml());
-      } else {
-        var expr = this.parseExpr();
-        block.nodes.push(expr);
+      if (this.recover && 'eos' == this.peek().type) {
+        this.errors.push(this.createError('INVALID_TOKEN', 'expected "outdent", but got "eos"', this.peek()));
+        return this.finishNode(block);
       }
+      this.parseStatement(block);
     }
     this.expect('outdent');
-    return block;
+    return this.finishNode(block);
   },
 
   /**
@@ -941,15 +1927,17 @@ loop:
 
   parseInterpolation: function(){
     var tok = this.advance();
+    this.checkCode('expression', tok.val, tok, 'tag interpolation');
     var tag = {
       type: 'InterpolatedTag',
       expr: tok.val,
       selfClosing: false,
-      block: this.emptyBlock(tok.line),
+      block: this.emptyBlock(tok.line, tok.col),
       attrs: [],
       attributeBlocks: [],
       isInline: false,
       line: tok.line,
+      column: tok.col,
       filename: this.filename
     };
 
@@ -966,11 +1954,12 @@ loop:
       type: 'Tag',
       name: tok.val,
       selfClosing: false,
-      block: this.emptyBlock(tok.line),
+      block: this.emptyBlock(tok.line, tok.col),
       attrs: [],
       attributeBlocks: [],
-      isInline: inlineTags.indexOf(tok.val) !== -1,
+      isInline: this.isInlineTag(tok.val),
       line: tok.line,
+      column: tok.col,
       filename: this.filename
     };
 
@@ -992,27 +1981,27 @@ loop:
           case 'id':
           case 'class':
             var tok = this.advance();
-            if (tok.type === 'id') {
-              if (attributeNames.indexOf('id') !== -1) {
-                this.error('DUPLICATE_ID', 'Duplicate attribute "id" is not allowed.', tok);
-              }
-              attributeNames.push('id');
+            if (tok.type === 'id' && !addAttributeName(attributeNames, 'id')) {
+              this.error('DUPLICATE_ID', 'Duplicate attribute "id" is not allowed.', tok);
             }
-            tag.attrs.push({
+            tag.attrs.push(this.finishNode(this.describeAttribute({
               name: tok.type,
               val: "'" + tok.val + "'",
-              mustEscape: false
-            });
+              mustEscape: false,
+              line: tok.line,
+              column: tok.col
+            })));
             continue;
           case 'start-attributes':
             if (seenAttrs) {
-              console.warn(this.filename + ', line ' + this.peek().line + ':\nYou should not have pug tags with multiple attributes.');
+              this.warn('MULTIPLE_ATTRIBUTES', 'You should not have pug tags with multiple attributes.', this.peek());
             }
             seenAttrs = true;
             tag.attrs = tag.attrs.concat(this.attrs(attributeNames));
             continue;
           case '&attributes':
             var tok = this.advance();
+            this.checkCode('expression', tok.val, tok, '&attributes');
             tag.attributeBlocks.push(tok.val);
             break;
           default:
@@ -1043,8 +2032,10 @@ loop:
         tag.block.nodes.push(this.parseCode(true));
         break;
       case ':':
-        this.advance();
-        tag.block = this.initBlock(tag.line, [this.parseExpr()]);
+        var colon = this.advance();
+        // `parseExpr` returns nothing for a `dot` without text
+        var expr = this.parseExpr();
+        tag.block = this.initBlock(tag.line, expr ? [expr] : [], colon.col);
         break;
       case 'newline':
       case 'indent':
@@ -1070,37 +2061,67 @@ loop:
 
     // block?
     if (tag.textOnly) {
-      tag.block = this.parseTextBlock() || this.emptyBlock(tag.line);
+      tag.block = this.parseTextBlock() || this.emptyBlock(tag.line, tag.column);
     } else if ('indent' == this.peek().type) {
       var block = this.block();
       for (var i = 0, len = block.nodes.length; i < len; ++i) {
         tag.block.nodes.push(block.nodes[i]);
       }
+      if (this.cst) tag.block.indent = block.indent;
+    }
+    if (tag.block.nodes.length) {
+      this.finishNode(tag.block);
+      this.checkSelfClosing(tag);
     }
 
-    return tag;
+    return this.finishNode(tag);
+  },
+
+  /**
+   * Throw if `tag` is self closing or, outside of XML, a void element, and
+   * has content other than whitespace.
+   *
+   * @param {Object} tag
+   * @api private
+   */
+
+  checkSelfClosing: function(tag){
+    var content = tag.block.nodes.filter(function (node) {
+      return node.type !== 'Text' || /\S/.test(node.val);
+    });
+    if (!content.length) return;
+    var at = {line: content[0].line, col: content[0].column};
+    if (tag.selfClosing) {
+      this.error('SELF_CLOSING_CONTENT', (tag.name || 'The tag') + ' is self closing but has content.', at);
+    }
+    if (!this.xml && tag.type === 'Tag' && voidElements.indexOf(tag.name) !== -1) {
+      this.error('SELF_CLOSING_CONTENT', tag.name + ' is a void element and cannot have content.', at);
+    }
   },
 
   attrs: function(attributeNames) {
     this.expect('start-attributes');
 
     var attrs = [];
-    var tok = this.advance();
-    while (tok.type === 'attribute') {
-      if (tok.name !== 'class' && attributeNames) {
-        if (attributeNames.indexOf(tok.name) !== -1) {
-          this.error('DUPLICATE_ATTRIBUTE', 'Duplicate attribute "' + tok.name + '" is not allowed.', tok);
-        }
-        attributeNames.push(tok.name);
+    while (this.peek().type !== 'end-attributes') {
+      if (this.peek().type !== 'attribute') {
+        var pluginResult = this.runPlugin('attributeTokens', this.peek(), attrs, attributeNames);
+        if (pluginResult) continue;
+        break;
+      }
+      var tok = this.advance();
+      this.checkCode('expression', tok.val, tok, 'attribute ' + tok.name);
+      if (tok.name !== 'class' && attributeNames && !addAttributeName(attributeNames, tok.name)) {
+        this.error('DUPLICATE_ATTRIBUTE', 'Duplicate attribute "' + tok.name + '" is not allowed.', tok);
       }
-      attrs.push({
+      attrs.push(this.finishNode(this.describeAttribute({
         name: tok.name,
         val: tok.val,
-        mustEscape: tok.mustEscape !== false
-      });
-      tok = this.advance();
+        mustEscape: tok.mustEscape !== false,
+        line: tok.line,
+        column: tok.col
+      })));
     }
-    this.tokens.defer(tok);
     this.expect('end-attributes');
     return attrs;
   }
@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = ArrayStream;
+module.exports.endOfStream = endOfStream;
+
+/**
+ * A token stream with the same interface as `token-stream`, that reads an
+ * array by index instead of shifting tokens off it, which takes time in
+ * proportion to the length of the array and made parsing large templates
+ * quadratic.  The array is left as it is.
+ *
+ * @param {Array} tokens
+ * @api private
+ */
+
+function ArrayStream(tokens) {
+  this._tokens = tokens;
+  this._index = 0;
+  this._deferred = [];
+}
+ArrayStream.prototype.lookahead = function (index) {
+  var deferred = this._deferred.length;
+  if (index < deferred) return this._deferred[deferred - 1 - index];
+  var i = this._index + index - deferred;
+  if (i >= this._tokens.length) {
+    throw endOfStream();
+  }
+  return this._tokens[i];
+};
+ArrayStream.prototype.peek = function () {
+  return this.lookahead(0);
+};
+ArrayStream.prototype.advance = function () {
+  var token = this.lookahead(0);
+  if (this._deferred.length) this._deferred.pop();
+  else this._index++;
+  return token;
+};
+ArrayStream.prototype.defer = function (token) {
+  this._deferred.push(token);
+};
+
+/**
+ * The error thrown by token streams when the parser reads past the last
+ * token, which the parser reports as a pug error.
+ *
+ * @return {Error}
+ * @api private
+ */
+
+function endOfStream() {
+  var err = new Error('Cannot read past the end of a stream');
+  err.code = 'END_OF_STREAM';
+  return err;
+}
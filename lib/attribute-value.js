@@ -0,0 +1,143 @@
+'use strict';
+
+var acorn = require('acorn');
+
+module.exports = describeAttribute;
+
+var SIMPLE_STRING = /^(?:'[^'\\\n]*'|"[^"\\\n]*")$/;
+
+/**
+ * Add what can be known about the value of `attr` without running it, next
+ * to its JavaScript source in `val`:
+ *
+ *  - `constant`: whether the value is a string, number or boolean literal,
+ *    or a template literal without expressions
+ *  - `value`: the value, if it is constant
+ *  - `isBoolean`: whether the value is `true` or `false`, as for attributes
+ *    written without a value, which are rendered as boolean attributes
+ *  - `classes`: for `class`, the class names if they are all known, from a
+ *    string, an array of strings, or an object of names to constant values
+ *  - `styles`: for `style`, the properties if they are all known, from a
+ *    string or an object of constant values
+ *
+ * @param {Object} attr
+ * @return {Object}
+ * @api private
+ */
+
+function describeAttribute(attr) {
+  var result = null;
+  if (typeof attr.val === 'boolean') {
+    result = {value: attr.val};
+  } else if (SIMPLE_STRING.test(attr.val)) {
+    // most values are quoted strings, which can be read without acorn
+    result = {value: attr.val.slice(1, -1)};
+  } else if (typeof attr.val === 'string') {
+    var node = parseValue(attr.val);
+    result = node && evaluate(node);
+  }
+
+  attr.constant = !!result && ['string', 'number', 'boolean'].indexOf(typeof result.value) !== -1;
+  if (attr.constant) attr.value = result.value;
+  attr.isBoolean = attr.constant && typeof attr.value === 'boolean';
+  if (attr.name === 'class') {
+    var classes = result && classNames(result.value);
+    if (classes) attr.classes = classes;
+  } else if (attr.name === 'style') {
+    var styles = result && styleProperties(result.value);
+    if (styles) attr.styles = styles;
+  }
+  return attr;
+}
+
+function parseValue(src) {
+  try {
+    var node = acorn.parseExpressionAt(src, 0, {ecmaVersion: 'latest'});
+  } catch (ex) {
+    return null;
+  }
+  return /^\s*$/.test(src.slice(node.end)) ? node : null;
+}
+
+/**
+ * The value of the expression `node` wrapped in an object, if it is made
+ * only of literals, or `null`.
+ */
+
+function evaluate(node) {
+  switch (node.type) {
+    case 'Literal':
+      if (node.regex || node.bigint) return null;
+      return {value: node.value};
+    case 'TemplateLiteral':
+      return node.expressions.length ? null : {value: node.quasis[0].value.cooked};
+    case 'UnaryExpression':
+      var argument = evaluate(node.argument);
+      if (!argument || typeof argument.value !== 'number') return null;
+      if (node.operator === '-') return {value: -argument.value};
+      if (node.operator === '+') return argument;
+      return null;
+    case 'ArrayExpression':
+      var items = [];
+      for (var i = 0; i < node.elements.length; i++) {
+        var item = node.elements[i] && evaluate(node.elements[i]);
+        if (!item) return null;
+        items.push(item.value);
+      }
+      return {value: items};
+    case 'ObjectExpression':
+      var object = {};
+      for (var i = 0; i < node.properties.length; i++) {
+        var property = node.properties[i];
+        if (property.type !== 'Property' || property.kind !== 'init' || property.computed) return null;
+        var value = evaluate(property.value);
+        if (!value) return null;
+        object[property.key.type === 'Identifier' ? property.key.name : String(property.key.value)] = value.value;
+      }
+      return {value: object};
+  }
+  return null;
+}
+
+function classNames(value) {
+  if (typeof value === 'string') {
+    return value.split(/\s+/).filter(Boolean);
+  }
+  if (Array.isArray(value)) {
+    var classes = [];
+    for (var i = 0; i < value.length; i++) {
+      var names = typeof value[i] === 'string' ? classNames(value[i]) : null;
+      if (!names) return null;
+      classes.push.apply(classes, names);
+    }
+    return classes;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).filter(function (name) {
+      return value[name];
+    });
+  }
+  return null;
+}
+
+function styleProperties(value) {
+  var styles = {};
+  if (typeof value === 'string') {
+    value.split(';').forEach(function (declaration) {
+      var colon = declaration.indexOf(':');
+      if (colon === -1) return;
+      var name = declaration.slice(0, colon).trim();
+      if (name) styles[name] = declaration.slice(colon + 1).trim();
+    });
+    return styles;
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    var names = Object.keys(value);
+    for (var i = 0; i < names.length; i++) {
+      if (['string', 'number'].indexOf(typeof value[names[i]]) === -1) return null;
+      styles[names[i]] = String(value[names[i]]);
+    }
+    return styles;
+  }
+  return null;
+}
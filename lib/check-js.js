@@ -0,0 +1,96 @@
+'use strict';
+
+var acorn = require('acorn');
+
+module.exports = checkJs;
+
+var OPTIONS = {
+  ecmaVersion: 'latest',
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  locations: true
+};
+
+/**
+ * How each kind of JavaScript is wrapped so that it can be parsed on its own.
+ * `else` branches are checked after an empty `if`, and code with a block is
+ * checked with an empty block after it, as that is how it is compiled.
+ */
+
+var WRAPPERS = {
+  expression: function (src) {
+    return {prefix: '(', src: src, suffix: '\n)'};
+  },
+  statement: function (src, hasBlock) {
+    var prefix = /^\s*else\b/.test(src) ? 'if (0) {}' : '';
+    return {prefix: prefix, src: src, suffix: hasBlock ? '\n{}' : ''};
+  },
+  params: function (src) {
+    return {prefix: '(function (', src: src, suffix: '\n) {})'};
+  },
+  args: function (src) {
+    return {prefix: 'f(', src: src, suffix: '\n)'};
+  }
+};
+
+/**
+ * Syntax check `src` as the given `kind` of JavaScript (`expression`,
+ * `statement`, `params` or `args`), returning `null` if it is valid or the
+ * error message and its position within `src`, with a 1-based line and a
+ * 0-based column.
+ *
+ * @param {String} kind
+ * @param {String} src
+ * @param {Boolean} hasBlock
+ * @return {Object}
+ * @api private
+ */
+
+function checkJs(kind, src, hasBlock) {
+  var wrapped = WRAPPERS[kind](src, hasBlock);
+  try {
+    if (kind === 'statement' && !isBalanced(wrapped.prefix + wrapped.src)) return null;
+    acorn.parse(wrapped.prefix + wrapped.src + wrapped.suffix, OPTIONS);
+    return null;
+  } catch (ex) {
+    if (!(ex instanceof SyntaxError) || !ex.loc) throw ex;
+    var line = ex.loc.line;
+    var column = line === 1 ? Math.max(0, ex.loc.column - wrapped.prefix.length) : ex.loc.column;
+    var lines = src.split('\n');
+    if (line > lines.length) {
+      // the error is in the suffix, such as a missing closing bracket
+      line = lines.length;
+      column = lines[line - 1].length;
+    }
+    return {
+      message: ex.message.replace(/ \(\d+:\d+\)$/, ''),
+      line: line,
+      column: column
+    };
+  }
+}
+
+/**
+ * Unbuffered code may open a bracket that a later line of code closes, as in
+ * `- if (a) {` ... `- }`, so statements with unbalanced brackets can only be
+ * tokenized, not parsed.  Throws if `src` cannot be tokenized.
+ *
+ * @param {String} src
+ * @return {Boolean}
+ * @api private
+ */
+
+function isBalanced(src) {
+  var depth = 0;
+  var balanced = true;
+  var types = acorn.tokTypes;
+  var tokenizer = acorn.tokenizer(src, OPTIONS);
+  for (var tok = tokenizer.getToken(); tok.type !== types.eof; tok = tokenizer.getToken()) {
+    if (tok.type === types.parenL || tok.type === types.bracketL ||
+        tok.type === types.braceL || tok.type === types.dollarBraceL) depth++;
+    if (tok.type === types.parenR || tok.type === types.bracketR ||
+        tok.type === types.braceR) depth--;
+    if (depth < 0) balanced = false;
+  }
+  return balanced && depth === 0;
+}
@@ -0,0 +1,185 @@
+'use strict';
+
+module.exports = checkContentModel;
+
+/**
+ * Elements that can only appear directly inside one of the listed elements.
+ */
+
+var PARENTS = {
+  li: ['ul', 'ol', 'menu'],
+  dt: ['dl', 'div'],
+  dd: ['dl', 'div'],
+  caption: ['table'],
+  colgroup: ['table'],
+  thead: ['table'],
+  tbody: ['table'],
+  tfoot: ['table'],
+  tr: ['thead', 'tbody', 'tfoot'],
+  td: ['tr'],
+  th: ['tr'],
+  col: ['colgroup'],
+  optgroup: ['select'],
+  option: ['select', 'datalist', 'optgroup'],
+  legend: ['fieldset'],
+  summary: ['details'],
+  figcaption: ['figure'],
+  track: ['audio', 'video'],
+  param: ['object']
+};
+
+/**
+ * Elements that can only directly contain the listed elements, apart from
+ * `script` and `template`, which are allowed anywhere.
+ */
+
+var CHILDREN = {
+  ul: ['li'],
+  ol: ['li'],
+  menu: ['li'],
+  dl: ['dt', 'dd', 'div'],
+  table: ['caption', 'colgroup', 'thead', 'tbody', 'tfoot'],
+  thead: ['tr'],
+  tbody: ['tr'],
+  tfoot: ['tr'],
+  tr: ['td', 'th'],
+  colgroup: ['col'],
+  select: ['option', 'optgroup', 'hr'],
+  optgroup: ['option']
+};
+
+var SCRIPT_SUPPORTING = ['script', 'template'];
+
+/**
+ * Elements that close an open `p`, unless one of `P_SCOPE` is between them.
+ */
+
+var CLOSES_P = [
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div',
+  'dl', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu', 'nav',
+  'ol', 'p', 'pre', 'section', 'table', 'ul'
+];
+var P_SCOPE = ['button', 'caption', 'object', 'table', 'td', 'template', 'th'];
+
+/**
+ * Elements that cannot contain any of the listed elements at any depth.
+ */
+
+var INTERACTIVE = ['a', 'button', 'details', 'embed', 'iframe', 'select', 'textarea'];
+var DESCENDANTS = {
+  a: INTERACTIVE,
+  button: INTERACTIVE,
+  form: ['form'],
+  label: ['label']
+};
+
+/**
+ * Report tags in `ast` that are placed where the HTML5 content model does
+ * not allow them, and that browsers would move or close early.
+ *
+ * Only tags whose parent is known are checked: the top level of a template,
+ * the contents of mixins, named blocks and includes and the block passed to
+ * a mixin call could end up inside anything, so they are treated as having
+ * an unknown parent.  Conditionals, loops and other code are transparent.
+ *
+ * @param {Object} ast
+ * @param {Function} report called with a message and the offending node
+ * @api private
+ */
+
+function checkContentModel(ast, report) {
+  visit(ast, null, []);
+
+  function visit(node, parent, ancestors) {
+    switch (node.type) {
+      case 'Tag':
+        checkTag(node, parent, ancestors);
+        visitBlock(node.block, node.name, ancestors.concat([node.name]));
+        break;
+      case 'InterpolatedTag':
+        visitBlock(node.block, null, []);
+        break;
+      case 'Mixin':
+      case 'NamedBlock':
+      case 'Include':
+        visitBlock(node.type === 'NamedBlock' ? node : node.block, null, []);
+        break;
+      case 'Block':
+        visitBlock(node, parent, ancestors);
+        break;
+      case 'Conditional':
+        visitBlock(node.consequent, parent, ancestors);
+        if (node.alternate) visit(node.alternate, parent, ancestors);
+        break;
+      case 'Each':
+        visitBlock(node.block, parent, ancestors);
+        if (node.alternate) visitBlock(node.alternate, parent, ancestors);
+        break;
+      case 'Case':
+        node.block.nodes.forEach(function (when) {
+          visitBlock(when.block, parent, ancestors);
+        });
+        break;
+      case 'While':
+      case 'Code':
+        visitBlock(node.block, parent, ancestors);
+        break;
+    }
+  }
+
+  function visitBlock(block, parent, ancestors) {
+    if (!block) return;
+    block.nodes.forEach(function (node) {
+      visit(node, parent, ancestors);
+    });
+  }
+
+  function checkTag(node, parent, ancestors) {
+    var name = node.name;
+    var parents = lookup(PARENTS, name);
+    if (parent && parents && parents.indexOf(parent) === -1) {
+      report(tag(name) + ' must be directly inside ' + list(parents) + ', not ' + tag(parent), node);
+      return;
+    }
+    var children = parent && lookup(CHILDREN, parent);
+    if (children && children.indexOf(name) === -1 && SCRIPT_SUPPORTING.indexOf(name) === -1) {
+      report(tag(parent) + ' can only directly contain ' + list(children) + ', not ' + tag(name), node);
+      return;
+    }
+    if (CLOSES_P.indexOf(name) !== -1) {
+      for (var i = ancestors.length - 1; i >= 0 && P_SCOPE.indexOf(ancestors[i]) === -1; i--) {
+        if (ancestors[i] === 'p') {
+          report(tag(name) + ' cannot be inside ' + tag('p') + ', it closes the paragraph', node);
+          return;
+        }
+      }
+    }
+    for (var i = 0; i < ancestors.length; i++) {
+      var descendants = lookup(DESCENDANTS, ancestors[i]);
+      if (descendants && descendants.indexOf(name) !== -1) {
+        report(tag(name) + ' cannot be inside ' + tag(ancestors[i]), node);
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * The entry for the tag `name` in `map`, ignoring what objects inherit, as
+ * tags can be named `constructor` or `toString`.
+ */
+
+function lookup(map, name) {
+  return Object.prototype.hasOwnProperty.call(map, name) ? map[name] : null;
+}
+
+function tag(name) {
+  return '<' + name + '>';
+}
+
+function list(names) {
+  var tags = names.map(tag);
+  if (tags.length === 1) return tags[0];
+  return tags.slice(0, -1).join(', ') + ' or ' + tags[tags.length - 1];
+}
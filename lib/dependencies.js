@@ -0,0 +1,188 @@
+'use strict';
+
+var path = require('path');
+var error = require('pug-error');
+var walk = require('./walk').walk;
+
+module.exports = dependencies;
+
+/**
+ * Build the dependency graph of one or more templates from the files they
+ * extend and include.
+ *
+ * `asts` is either a single AST, whose file is `options.filename`, or an
+ * object of ASTs keyed by filename.  Paths are resolved the way pug-load
+ * resolves them: relative to the directory of the file they are in, or to
+ * `options.basedir` if they start with a `/`.
+ *
+ * @param {Object} asts
+ * @param {Object} options
+ * @return {DependencyGraph}
+ * @api public
+ */
+
+function dependencies(asts, options) {
+  options = options || {};
+  if (asts && typeof asts.type === 'string') {
+    var single = Object.create(null);
+    single[options.filename || ''] = asts;
+    asts = single;
+  }
+  var graph = new DependencyGraph();
+  Object.keys(asts).forEach(function (filename) {
+    graph.add(filename, asts[filename], options.basedir);
+  });
+  graph.cycles = graph.findCycles();
+  return graph;
+}
+
+/**
+ * The graph returned by `dependencies`.  `files` maps each template that was
+ * given to its references, in the order they appear, each with the `type`
+ * of node it came from, the `path` as written, the `resolved` path, the
+ * `filters` of a raw include and its location.  `cycles` lists the chains
+ * of files that end up depending on themselves, with the first file
+ * repeated at the end.
+ *
+ * @api public
+ */
+
+function DependencyGraph() {
+  // keyed by path, which may be any name, such as `constructor`
+  this.files = Object.create(null);
+  this.cycles = [];
+  this._edges = Object.create(null);
+  this._reverse = Object.create(null);
+}
+
+DependencyGraph.prototype = {
+  constructor: DependencyGraph,
+
+  /**
+   * Add the references in `ast`, the template at `filename`.
+   *
+   * @api private
+   */
+
+  add: function (filename, ast, basedir) {
+    var key = normalize(filename);
+    var references = this.files[key] = [];
+    walk(ast, {
+      FileReference: function (file, context) {
+        var node = context.parent;
+        references.push({
+          type: node.type,
+          path: file.path,
+          resolved: resolve(file, filename, basedir),
+          filters: (node.filters || []).map(function (filter) {
+            return {name: filter.name, attrs: filter.attrs};
+          }),
+          line: file.line,
+          column: file.column
+        });
+      }
+    });
+    var edges = this._edges[key] = [];
+    references.forEach(function (reference) {
+      if (edges.indexOf(reference.resolved) === -1) edges.push(reference.resolved);
+    });
+    edges.forEach(function (dependency) {
+      var dependents = this._reverse[dependency] = this._reverse[dependency] || [];
+      dependents.push(key);
+    }, this);
+  },
+
+  /**
+   * The files that `filename` extends or includes, or with `transitive` the
+   * files they depend on as well.
+   *
+   * @param {String} filename
+   * @param {Boolean} transitive
+   * @return {Array.<String>}
+   * @api public
+   */
+
+  dependencies: function (filename, transitive) {
+    return reach(this._edges, normalize(filename), transitive);
+  },
+
+  /**
+   * The files that extend or include `filename`, or with `transitive` every
+   * file that needs to be rebuilt when it changes.
+   *
+   * @param {String} filename
+   * @param {Boolean} transitive
+   * @return {Array.<String>}
+   * @api public
+   */
+
+  dependents: function (filename, transitive) {
+    return reach(this._reverse, normalize(filename), transitive);
+  },
+
+  /**
+   * Depth first search for references back to a file that is still being
+   * visited.
+   *
+   * @api private
+   */
+
+  findCycles: function () {
+    var edges = this._edges;
+    var cycles = [];
+    var done = Object.create(null);
+    var stack = [];
+    function visit(file) {
+      var index = stack.indexOf(file);
+      if (index !== -1) {
+        cycles.push(stack.slice(index).concat([file]));
+        return;
+      }
+      if (done[file]) return;
+      stack.push(file);
+      (edges[file] || []).forEach(visit);
+      stack.pop();
+      done[file] = true;
+    }
+    Object.keys(edges).forEach(visit);
+    return cycles;
+  }
+};
+
+function reach(edges, start, transitive) {
+  var found = [];
+  var queue = [start];
+  while (queue.length) {
+    (edges[queue.shift()] || []).forEach(function (file) {
+      if (file === start || found.indexOf(file) !== -1) return;
+      found.push(file);
+      if (transitive) queue.push(file);
+    });
+  }
+  return found;
+}
+
+function resolve(file, filename, basedir) {
+  var target = file.path.trim();
+  if (target[0] === '/') {
+    if (!basedir) {
+      throw error('NO_BASEDIR', 'the "basedir" option is required to resolve "' + target + '"', {
+        line: file.line,
+        column: file.column,
+        filename: filename
+      });
+    }
+    return path.join(basedir, target);
+  }
+  if (!filename) {
+    throw error('NO_FILENAME', 'the "filename" option is required to resolve "' + target + '"', {
+      line: file.line,
+      column: file.column
+    });
+  }
+  return path.join(path.dirname(filename), target);
+}
+
+function normalize(filename) {
+  return filename ? path.normalize(filename) : filename;
+}
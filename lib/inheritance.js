@@ -0,0 +1,106 @@
+'use strict';
+
+var walk = require('./walk').walk;
+
+module.exports = checkInheritance;
+
+/**
+ * Node types that can appear at the top level of an extending template
+ * without being dropped, apart from mixin definitions and unbuffered code.
+ * Includes are allowed as their contents are checked once they are linked.
+ */
+
+var EXTENDING_ROOT = ['Extends', 'NamedBlock', 'Comment', 'BlockComment', 'Include'];
+
+/**
+ * Report problems with the template inheritance structure of `ast`, calling
+ * `report` with an error code, a message and the offending node for:
+ *
+ *  - `EXTENDS_NOT_FIRST`: an `extends` that is not the first node of the
+ *    template other than comments, or is not at the top level
+ *  - `UNEXPECTED_NODES_IN_EXTENDING_ROOT`: top level content in an extending
+ *    template that is not a named block, mixin definition or unbuffered code,
+ *    as it would never be output
+ *  - `DUPLICATE_BLOCK`: a named block that replaces the contents of a block
+ *    whose name is already used in the file, leaving out blocks inside
+ *    conditionals and code, which may be alternatives to each other
+ *  - `UNEXPECTED_YIELD`: `yield` in an extending template, or more than one
+ *    `yield` in a file, as only the first is replaced by the included content
+ *
+ * and `warn` in the same way for:
+ *
+ *  - `UNEXPECTED_BLOCK_MODE`: `append` or `prepend` in a template that does
+ *    not extend another, which only has something to add to if the template
+ *    is included into one that does
+ *
+ * @param {Object} ast
+ * @param {Function} report
+ * @param {Function} warn
+ * @api private
+ */
+
+function checkInheritance(ast, report, warn) {
+  var first = firstNode(ast);
+  var extending = !!first && first.type === 'Extends';
+  var blocks = {};
+  var yieldBlock = null;
+  var conditional = 0;
+  var enterConditional = {
+    enter: function () {
+      conditional++;
+    },
+    exit: function () {
+      conditional--;
+    }
+  };
+
+  walk(ast, {
+    Conditional: enterConditional,
+    Case: enterConditional,
+    Code: enterConditional,
+    Extends: function (node) {
+      if (node !== first) {
+        report('EXTENDS_NOT_FIRST', 'Declaration of template inheritance ("extends") should be the first thing in the file. There can only be one extends statement per file.', node);
+      }
+    },
+    NamedBlock: function (node) {
+      if (node.mode === 'replace' && !conditional) {
+        if (Object.prototype.hasOwnProperty.call(blocks, node.name)) {
+          report('DUPLICATE_BLOCK', 'Block ' + JSON.stringify(node.name) + ' is already defined on line ' + blocks[node.name].line, node);
+        } else {
+          blocks[node.name] = node;
+        }
+      }
+      if (!extending && node.mode !== 'replace') {
+        warn('UNEXPECTED_BLOCK_MODE', 'Block ' + JSON.stringify(node.name) + ' uses "' + node.mode + '" but the template does not extend another, so there is nothing to ' + node.mode + ' to', node);
+      }
+    },
+    YieldBlock: function (node) {
+      if (extending) {
+        report('UNEXPECTED_YIELD', '"yield" cannot be used in an extending template', node);
+      } else if (yieldBlock) {
+        report('UNEXPECTED_YIELD', 'Only one "yield" is replaced by included content, there is already one on line ' + yieldBlock.line, node);
+      } else {
+        yieldBlock = node;
+      }
+    }
+  });
+
+  if (extending) {
+    ast.nodes.forEach(function (node) {
+      if (EXTENDING_ROOT.indexOf(node.type) !== -1 ||
+          (node.type === 'Mixin' && !node.call) ||
+          (node.type === 'Code' && !node.buffer) ||
+          (node.type === 'Text' && !node.val.trim())) return;
+      report('UNEXPECTED_NODES_IN_EXTENDING_ROOT', 'Only named blocks, mixin definitions and unbuffered code can appear at the top level of an extending template', node);
+    });
+  }
+}
+
+function firstNode(ast) {
+  for (var i = 0; i < ast.nodes.length; i++) {
+    var node = ast.nodes[i];
+    if (node.type !== 'Comment' && node.type !== 'BlockComment') return node;
+  }
+  return null;
+}
@@ -1,23 +1,59 @@
 'use strict';
 
+// The phrasing content elements of HTML5, leaving out those that are only
+// phrasing content in some places (`area`, `link`, `meta`) and those whose
+// content is not rendered as text (`noscript`, `script`, `template`).
+// Autonomous custom elements are phrasing content too, they are matched by
+// name rather than listed here.
 module.exports = [
     'a'
   , 'abbr'
-  , 'acronym'
+  , 'audio'
   , 'b'
+  , 'bdi'
+  , 'bdo'
   , 'br'
+  , 'button'
+  , 'canvas'
+  , 'cite'
   , 'code'
+  , 'data'
+  , 'datalist'
+  , 'del'
+  , 'dfn'
   , 'em'
-  , 'font'
+  , 'embed'
   , 'i'
+  , 'iframe'
   , 'img'
+  , 'input'
   , 'ins'
   , 'kbd'
+  , 'label'
   , 'map'
+  , 'mark'
+  , 'math'
+  , 'meter'
+  , 'object'
+  , 'output'
+  , 'picture'
+  , 'progress'
+  , 'q'
+  , 'ruby'
+  , 's'
   , 'samp'
+  , 'select'
+  , 'slot'
   , 'small'
   , 'span'
   , 'strong'
   , 'sub'
   , 'sup'
-];
\ No newline at end of file
+  , 'svg'
+  , 'textarea'
+  , 'time'
+  , 'u'
+  , 'var'
+  , 'video'
+  , 'wbr'
+];
@@ -0,0 +1,45 @@
+'use strict';
+
+var endOfStream = require('./array-stream').endOfStream;
+
+module.exports = IteratorStream;
+
+/**
+ * A token stream with the same interface as `token-stream`, that pulls tokens
+ * from an iterator only when they are needed for lookahead.  Tokens are
+ * dropped once they have been consumed.
+ *
+ * @param {Object} iterator
+ * @api private
+ */
+
+function IteratorStream(iterator) {
+  this._iterator = iterator;
+  this._buffer = [];
+  this._done = false;
+}
+IteratorStream.prototype._fill = function (index) {
+  while (this._buffer.length <= index && !this._done) {
+    var result = this._iterator.next();
+    if (result.done) this._done = true;
+    else this._buffer.push(result.value);
+  }
+};
+IteratorStream.prototype.lookahead = function (index) {
+  this._fill(index);
+  if (this._buffer.length <= index) {
+    throw endOfStream();
+  }
+  return this._buffer[index];
+};
+IteratorStream.prototype.peek = function () {
+  return this.lookahead(0);
+};
+IteratorStream.prototype.advance = function () {
+  var token = this.lookahead(0);
+  this._buffer.shift();
+  return token;
+};
+IteratorStream.prototype.defer = function (token) {
+  this._buffer.unshift(token);
+};
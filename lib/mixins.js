@@ -0,0 +1,151 @@
+'use strict';
+
+var acorn = require('acorn');
+var walk = require('./walk').walk;
+
+module.exports = mixinTable;
+
+/**
+ * Build the table of mixins defined in `ast`, keyed by name, with the
+ * parameter names, the rest parameter and the location of each definition.
+ * Parameters are split the way pug-code-gen splits them.
+ *
+ * If `report` is given it is called with a warning code, a message and the
+ * offending node for:
+ *
+ *  - `DUPLICATE_MIXIN`: a mixin defined again in the same file, the table
+ *    keeps the first definition.  Definitions in different branches of the
+ *    same `if`, `case` or `each` ... `else`, which cannot both run, are not
+ *    duplicates
+ *  - `UNDEFINED_MIXIN`: a call to a mixin that is not defined in the file,
+ *    unless `options.external` is `true` or lists its name
+ *  - `MIXIN_ARGUMENTS`: a call with more arguments than the mixin has
+ *    parameters, when it has no rest parameter and the call spreads nothing
+ *
+ * Calls to mixins with an interpolated name are not checked.  This is the
+ * table returned in `mixins` when recovering, and the way to get it
+ * otherwise, as `parse.mixins(ast)`.
+ *
+ * @param {Object} ast
+ * @param {Function} report
+ * @param {Object} options
+ * @return {Object}
+ * @api public
+ */
+
+function mixinTable(ast, report, options) {
+  var external = (options && options.external) || [];
+  // keyed by name, which may be any name, such as `constructor`
+  var table = Object.create(null);
+  var definitions = Object.create(null);
+  var calls = [];
+  var ancestors = [];
+  walk(ast, {
+    enter: function (node, context) {
+      ancestors.push({node: node, key: context.key, index: context.index});
+      if (node.type !== 'Mixin') return;
+      if (node.call) {
+        calls.push(node);
+        return;
+      }
+      var current = {node: node, branches: branches(ancestors)};
+      var previous = definitions[node.name] || [];
+      var duplicate = previous.filter(function (other) {
+        return !exclusive(current.branches, other.branches);
+      })[0];
+      if (duplicate && report) {
+        report('DUPLICATE_MIXIN', 'Mixin ' + node.name + ' is already defined on line ' + duplicate.node.line, node);
+      }
+      if (!previous.length) table[node.name] = definition(node);
+      definitions[node.name] = previous.concat([current]);
+    },
+    exit: function () {
+      ancestors.pop();
+    }
+  });
+  if (!report) return table;
+
+  calls.forEach(function (node) {
+    if (/#\{/.test(node.name)) return;
+    if (!table[node.name]) {
+      if (external !== true && external.indexOf(node.name) === -1) {
+        report('UNDEFINED_MIXIN', 'Mixin ' + node.name + ' is not defined in this file', node);
+      }
+      return;
+    }
+    var mixin = table[node.name];
+    var count = argumentCount(node.args);
+    if (!mixin.rest && count > mixin.params.length) {
+      report('MIXIN_ARGUMENTS', 'Mixin ' + node.name + ' takes ' + mixin.params.length +
+        ' argument' + (mixin.params.length === 1 ? '' : 's') + ' but is called with ' + count, node);
+    }
+  });
+  return table;
+}
+
+/**
+ * The branches taken to reach the last of `ancestors`, as the `if`, `case`
+ * or `each` node with the field or `when` index its branch is in.
+ */
+
+function branches(ancestors) {
+  var result = [];
+  for (var i = 0; i + 1 < ancestors.length; i++) {
+    var node = ancestors[i].node;
+    if (node.type === 'Conditional' || node.type === 'Each') {
+      result.push({node: node, branch: ancestors[i + 1].key});
+    } else if (node.type === 'Case' && i + 2 < ancestors.length) {
+      result.push({node: node, branch: ancestors[i + 2].index});
+    }
+  }
+  return result;
+}
+
+/**
+ * Whether the code reached by `a` and by `b` cannot both run, as they are in
+ * different branches of the same node.
+ */
+
+function exclusive(a, b) {
+  return a.some(function (x) {
+    return b.some(function (y) {
+      return x.node === y.node && x.branch !== y.branch;
+    });
+  });
+}
+
+function definition(node) {
+  var params = node.args ? node.args.split(',').map(function (param) {
+    return param.trim();
+  }).filter(Boolean) : [];
+  var rest = null;
+  if (params.length && /^\.\.\./.test(params[params.length - 1])) {
+    rest = params.pop().replace(/^\.\.\./, '').trim();
+  }
+  return {
+    name: node.name,
+    params: params,
+    rest: rest,
+    line: node.line,
+    column: node.column,
+    filename: node.filename
+  };
+}
+
+/**
+ * The number of arguments in `args`, or -1 if it cannot be known because
+ * an argument is spread or `args` does not parse.
+ */
+
+function argumentCount(args) {
+  if (!args) return 0;
+  try {
+    var call = acorn.parseExpressionAt('f(' + args + '\n)', 0, {ecmaVersion: 'latest'});
+  } catch (ex) {
+    return -1;
+  }
+  var spread = call.arguments.some(function (arg) {
+    return arg.type === 'SpreadElement';
+  });
+  return spread ? -1 : call.arguments.length;
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+module.exports = plainData;
+
+/**
+ * Make `value` the same as `JSON.parse(JSON.stringify(value))` without
+ * copying what is already plain data, so that the AST can be returned
+ * directly.  Objects and arrays are changed in place:
+ *
+ *  - properties that are `undefined`, functions or symbols are deleted, and
+ *    array items that are become `null`
+ *  - numbers that are not finite become `null`, and boxed primitives are
+ *    unboxed
+ *  - values with a `toJSON` method, such as dates, are replaced by its result
+ *  - objects that are not plain objects are replaced by a plain copy of their
+ *    own enumerable properties
+ *  - objects that appear more than once are copied, so that the result is a
+ *    tree
+ *
+ * Like `JSON.stringify`, it throws a `TypeError` on circular references and
+ * `BigInt`s.
+ *
+ * @param {*} value
+ * @return {*}
+ * @api private
+ */
+
+function plainData(value) {
+  var seen = new Set();
+  var stack = new Set();
+
+  function convert(value, key) {
+    if (value && typeof value.toJSON === 'function') value = value.toJSON(key);
+    switch (typeof value) {
+      case 'number':
+        if (value === 0) return 0;
+        return isFinite(value) ? value : null;
+      case 'bigint':
+        throw new TypeError('Do not know how to serialize a BigInt');
+      case 'object':
+        if (value === null) return null;
+        if (value instanceof Number || value instanceof String || value instanceof Boolean) {
+          return convert(value.valueOf(), key);
+        }
+        if (stack.has(value)) throw new TypeError('Converting circular structure to JSON');
+        if (seen.has(value)) value = copy(value);
+        else if (!Array.isArray(value) && !isPlainObject(value)) value = copy(value);
+        seen.add(value);
+        stack.add(value);
+        if (Array.isArray(value)) convertArray(value);
+        else convertObject(value);
+        stack.delete(value);
+        return value;
+      case 'string':
+      case 'boolean':
+        return value;
+      default:
+        return undefined;
+    }
+  }
+
+  function convertArray(array) {
+    for (var i = 0; i < array.length; i++) {
+      var item = convert(array[i], String(i));
+      array[i] = item === undefined ? null : item;
+    }
+  }
+
+  function convertObject(object) {
+    var keys = Object.keys(object);
+    for (var i = 0; i < keys.length; i++) {
+      var item = convert(object[keys[i]], keys[i]);
+      if (item === undefined) delete object[keys[i]];
+      else if (item !== object[keys[i]]) object[keys[i]] = item;
+    }
+  }
+
+  return convert(value, '');
+}
+
+function isPlainObject(value) {
+  var proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function copy(value) {
+  if (Array.isArray(value)) return value.slice();
+  var result = {};
+  Object.keys(value).forEach(function (key) {
+    result[key] = value[key];
+  });
+  return result;
+}
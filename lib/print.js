@@ -0,0 +1,488 @@
+'use strict';
+
+module.exports = print;
+
+/**
+ * Turn an AST produced by `parse` back into Pug source.
+ *
+ * The output parses to the same AST, apart from source positions.  Nodes
+ * that carry no source of their own, such as the `Error` nodes inserted in
+ * recovery mode, cannot be printed and cause an error to be thrown.  The
+ * blank lines and comments kept as trivia by the `cst` parser option are
+ * printed where they were found, and blocks are indented with the `indent`
+ * it records for them.
+ *
+ * Options:
+ *
+ *  - `indent` the string used for one level of indentation where a block
+ *    does not record its own, defaults to two spaces
+ *
+ * @param {Object} ast
+ * @param {Object} options
+ * @return {String}
+ * @api public
+ */
+
+function print(ast, options) {
+  options = options || {};
+  var printer = new Printer(options.indent || '  ');
+  printer.statement(ast, 0);
+  return printer.lines.join('\n') + '\n';
+}
+
+function Printer(indent) {
+  this.indent = indent;
+  // the indentation recorded in CST mode for the blocks being printed, by
+  // depth
+  this.prefixes = [''];
+  this.lines = [];
+}
+
+Printer.prototype = {
+  constructor: Printer,
+
+  line: function (depth, text) {
+    this.lines.push(text ? this.prefix(depth) + text : '');
+  },
+
+  prefix: function (depth) {
+    var known = depth;
+    while (this.prefixes[known] === undefined) known--;
+    return this.prefixes[known] + repeat(this.indent, depth - known);
+  },
+
+  /**
+   * Print the nodes of `block` at `depth`, from `start` if given, indented as
+   * they were in the source if the block records its `indent`.
+   */
+
+  body: function (block, depth, start) {
+    var prefixes = this.prefixes;
+    var parent = this.prefix(depth - 1);
+    if (typeof block.indent === 'string' && block.indent.length > parent.length &&
+        block.indent.indexOf(parent) === 0) {
+      this.prefixes = prefixes.slice(0, depth);
+      this.prefixes[depth] = block.indent;
+    }
+    this.statements(start ? block.nodes.slice(start) : block.nodes, depth);
+    this.trivia(block.trailingTrivia, depth);
+    this.prefixes = prefixes;
+  },
+
+  trivia: function (trivia, depth) {
+    for (var i = 0; i < (trivia || []).length; i++) {
+      if (trivia[i].type === 'BlankLines') {
+        for (var j = 0; j < trivia[i].count; j++) this.lines.push('');
+      } else {
+        this.statement(trivia[i], depth);
+      }
+    }
+  },
+
+  statements: function (nodes, depth) {
+    for (var i = 0; i < nodes.length; i++) {
+      this.trivia(nodes[i].leadingTrivia, depth);
+      if (nodes[i].type === 'Text' && nodes[i].isHtml) {
+        // interpolations in html continue the line they appear on
+        var lines = nodes[i].val.split('\n');
+        while (i + 1 < nodes.length && nodes[i + 1].type === 'Code' && nodes[i + 1].isInline) {
+          lines[lines.length - 1] += inlineText([nodes[++i]]);
+          if (i + 1 < nodes.length && nodes[i + 1].type === 'Text' && nodes[i + 1].isHtml) {
+            var rest = nodes[++i].val.split('\n');
+            lines[lines.length - 1] += rest.shift();
+            lines = lines.concat(rest);
+          }
+        }
+        for (var j = 0; j < lines.length; j++) this.line(depth, lines[j]);
+      } else {
+        this.statement(nodes[i], depth);
+      }
+    }
+  },
+
+  statement: function (node, depth) {
+    switch (node.type) {
+      case 'Block':
+        if (isPlainText(node.nodes)) {
+          this.textLines(node.nodes, depth, true);
+        } else {
+          this.statements(node.nodes, depth);
+        }
+        this.trivia(node.trailingTrivia, depth);
+        break;
+      case 'NamedBlock':
+        this.line(depth, (node.mode === 'replace' ? 'block' : node.mode) + ' ' + node.name);
+        this.body(node, depth + 1);
+        break;
+      case 'Tag':
+      case 'InterpolatedTag':
+      case 'Mixin':
+        if (node.type === 'Mixin' && !node.call) {
+          this.line(depth, 'mixin ' + node.name + (node.args != null ? '(' + node.args + ')' : ''));
+          this.body(node.block, depth + 1);
+        } else {
+          this.tag(node, depth);
+        }
+        break;
+      case 'Text':
+        if (node.isHtml) {
+          this.statements([node], depth);
+        } else {
+          this.textLines([node], depth, true);
+        }
+        break;
+      case 'Code':
+        if (node.isInline) {
+          // interpolation at the start of piped text
+          this.line(depth, piped(inlineText([node])));
+        } else {
+          this.code(node, depth);
+        }
+        break;
+      case 'Comment':
+        this.line(depth, (node.buffer ? '//' : '//-') + node.val);
+        break;
+      case 'BlockComment':
+        this.line(depth, (node.buffer ? '//' : '//-') + node.val);
+        this.textLines(node.block.nodes, depth + 1, false);
+        break;
+      case 'Doctype':
+        this.line(depth, 'doctype' + (node.val ? ' ' + node.val : ''));
+        break;
+      case 'Conditional':
+        this.line(depth, 'if ' + node.test);
+        this.body(node.consequent, depth + 1);
+        var alternate = node.alternate;
+        while (alternate && alternate.type === 'Conditional') {
+          this.trivia(alternate.leadingTrivia, depth);
+          this.line(depth, 'else if ' + alternate.test);
+          this.body(alternate.consequent, depth + 1);
+          alternate = alternate.alternate;
+        }
+        if (alternate) {
+          this.trivia(alternate.leadingTrivia, depth);
+          this.line(depth, 'else');
+          this.body(alternate, depth + 1);
+        }
+        break;
+      case 'While':
+        this.line(depth, 'while ' + node.test);
+        this.body(node.block, depth + 1);
+        break;
+      case 'Each':
+        this.line(depth, 'each ' + node.val + (node.key ? ', ' + node.key : '') + ' in ' + node.obj);
+        this.body(node.block, depth + 1);
+        if (node.alternate) {
+          this.trivia(node.alternate.leadingTrivia, depth);
+          this.line(depth, 'else');
+          this.body(node.alternate, depth + 1);
+        }
+        break;
+      case 'Case':
+        this.line(depth, 'case ' + node.expr);
+        this.body(node.block, depth + 1);
+        break;
+      case 'When':
+        this.line(depth, node.expr === 'default' ? 'default' : 'when ' + node.expr);
+        if (node.block) this.body(node.block, depth + 1);
+        break;
+      case 'MixinBlock':
+        this.line(depth, 'block');
+        break;
+      case 'YieldBlock':
+        this.line(depth, 'yield');
+        break;
+      case 'Extends':
+        this.line(depth, 'extends ' + node.file.path);
+        break;
+      case 'Include':
+        this.line(depth, 'include ' + node.file.path);
+        if (node.block) this.body(node.block, depth + 1);
+        break;
+      case 'RawInclude':
+        this.line(depth, 'include' + node.filters.map(function (filter) {
+          return ':' + filter.name + attributes(filter.attrs);
+        }).join('') + ' ' + node.file.path);
+        break;
+      case 'Filter':
+        this.filter(node, depth);
+        break;
+      default:
+        throw new Error('Cannot print node of type ' + JSON.stringify(node.type));
+    }
+  },
+
+  tag: function (node, depth) {
+    var head = tagHead(node);
+
+    var nodes = node.block ? node.block.nodes : [];
+    if (node.textOnly) {
+      this.line(depth, head + '.');
+      this.textLines(nodes, depth + 1, false);
+      return;
+    }
+    var inline = inlineLength(nodes);
+    if (nodes.length === 1 && isHtmlLine(nodes[0])) {
+      // block expansion into html, e.g. `p: <b>text</b>`
+      this.line(depth, head + ': ' + nodes[0].nodes[0].val);
+      return;
+    }
+    if (inline === 1 && nodes[0].type === 'Code') {
+      head += codePrefix(nodes[0]) + ' ' + nodes[0].val;
+    } else if (inline) {
+      head += ' ' + inlineText(nodes.slice(0, inline));
+    }
+    this.line(depth, head);
+    if (node.block) this.body(node.block, depth + 1, inline);
+  },
+
+  code: function (node, depth) {
+    var prefix = codePrefix(node);
+    if (!node.buffer && node.val.indexOf('\n') !== -1) {
+      this.line(depth, prefix);
+      var lines = node.val.split('\n');
+      for (var i = 0; i < lines.length; i++) this.line(depth + 1, lines[i]);
+    } else {
+      this.line(depth, prefix + ' ' + node.val);
+    }
+    if (node.block) this.body(node.block, depth + 1);
+  },
+
+  filter: function (node, depth) {
+    var head = '';
+    while (true) {
+      head += ':' + node.name + attributes(node.attrs);
+      var nodes = node.block.nodes;
+      if (nodes.length === 1 && nodes[0].type === 'Filter') {
+        node = nodes[0];
+        continue;
+      }
+      this.line(depth, head);
+      this.textLines(nodes, depth + 1, false);
+      return;
+    }
+  },
+
+  /**
+   * Print text split into lines on its `'\n'` Text nodes, and on the line
+   * breaks in Text nodes merged by the `normalizeText` parser option, as
+   * piped text or as the body of a text block.
+   */
+
+  textLines: function (nodes, depth, isPiped) {
+    nodes = splitLines(nodes);
+    var line = [];
+    for (var i = 0; i <= nodes.length; i++) {
+      if (i === nodes.length || (nodes[i].type === 'Text' && nodes[i].val === '\n')) {
+        if (!nodes.length) break;
+        var text = inlineText(line);
+        this.line(depth, isPiped ? piped(text) : text);
+        line = [];
+      } else {
+        // the trivia of the first node is the statement's, printed before it
+        if (i && !line.length) this.trivia(nodes[i].leadingTrivia, depth);
+        line.push(nodes[i]);
+      }
+    }
+  }
+};
+
+function repeat(str, n) {
+  var result = '';
+  for (var i = 0; i < n; i++) result += str;
+  return result;
+}
+
+/**
+ * `nodes` with the Text nodes that span several lines split into one node
+ * for each line, separated by `'\n'` Text nodes.
+ */
+
+function splitLines(nodes) {
+  var result = [];
+  nodes.forEach(function (node) {
+    if (node.type !== 'Text' || node.val === '\n' || node.val.indexOf('\n') === -1) {
+      result.push(node);
+      return;
+    }
+    node.val.split('\n').forEach(function (line, i) {
+      if (i) result.push({type: 'Text', val: '\n'});
+      if (line) result.push({type: 'Text', val: line, leadingTrivia: i ? undefined : node.leadingTrivia});
+    });
+  });
+  return result;
+}
+
+function piped(text) {
+  return text ? '| ' + text : '|';
+}
+
+function codePrefix(node) {
+  if (!node.buffer) return '-';
+  return node.mustEscape ? '=' : '!=';
+}
+
+function escapeText(text) {
+  return text.replace(/([#!])([{\[])/g, '\\$1$2');
+}
+
+/**
+ * The number of nodes at the start of `nodes` that were written on the same
+ * line as the tag that owns them.
+ */
+
+function inlineLength(nodes) {
+  var i = 0;
+  while (i < nodes.length) {
+    var node = nodes[i];
+    var previous = nodes[i - 1];
+    if (node.type === 'Text' && !node.isHtml && node.val !== '\n') {
+      if (previous && previous.type === 'Text') break;
+    } else if (node.type === 'Code' && node.isInline) {
+      // interpolated code
+    } else if (isInterpolation(node) && previous) {
+      // tag interpolation, always preceded by a (possibly empty) text node
+    } else {
+      break;
+    }
+    i++;
+  }
+  return i;
+}
+
+function isHtmlLine(node) {
+  return node.type === 'Block' && node.nodes.length === 1 && node.nodes[0].isHtml &&
+    node.nodes[0].val.indexOf('\n') === -1;
+}
+
+/**
+ * Whether `nodes` are the pieces of piped text, which always start with a
+ * (possibly empty) text node or an interpolation.
+ */
+
+function isPlainText(nodes) {
+  if (!nodes.length) return false;
+  var first = nodes[0];
+  if (!(first.type === 'Text' && !first.isHtml) && !(first.type === 'Code' && first.isInline)) {
+    return false;
+  }
+  return nodes.every(function (node) {
+    return (node.type === 'Text' && !node.isHtml) || (node.type === 'Code' && node.isInline) ||
+      isInterpolation(node);
+  });
+}
+
+/**
+ * Whether `node` can be printed as `#[...]`: a tag, a mixin call, or code
+ * that fits on one line and has no block.
+ */
+
+function isInterpolation(node) {
+  switch (node.type) {
+    case 'Tag':
+    case 'InterpolatedTag':
+      return true;
+    case 'Mixin':
+      return node.call;
+    case 'Code':
+      return !node.isInline && !node.block && node.val.indexOf('\n') === -1;
+    default:
+      return false;
+  }
+}
+
+function inlineText(nodes) {
+  return nodes.map(function (node) {
+    switch (node.type) {
+      case 'Text':
+        return escapeText(node.val);
+      case 'Code':
+        if (node.isInline) return (node.mustEscape ? '#{' : '!{') + node.val + '}';
+        return '#[' + codePrefix(node) + ' ' + node.val + ']';
+      default:
+        return '#[' + inlineTag(node) + ']';
+    }
+  }).join('');
+}
+
+/**
+ * The tag name (or `+name(args)`, for mixin calls), attributes and `/` of a
+ * tag.
+ */
+
+function tagHead(node) {
+  var head;
+  if (node.type === 'Tag') head = node.name;
+  if (node.type === 'InterpolatedTag') head = '#{' + node.expr + '}';
+  if (node.type === 'Mixin') {
+    head = '+' + node.name;
+    var first = node.attrs[0];
+    if (node.args != null) {
+      head += '(' + node.args + ')';
+    } else if (first && !shorthand(first) && (first.val === true || !/^[-\w]+$/.test(first.name))) {
+      // the attributes would otherwise be read as arguments
+      head += '()';
+    }
+  }
+  head += shorthandsAndAttributes(node.attrs);
+  for (var i = 0; i < node.attributeBlocks.length; i++) {
+    head += '&attributes(' + node.attributeBlocks[i] + ')';
+  }
+  if (node.selfClosing) head += '/';
+  return head;
+}
+
+function inlineTag(node) {
+  var head = tagHead(node);
+  var nodes = node.block ? node.block.nodes : [];
+  if (nodes.length === 1 && nodes[0].type === 'Code') {
+    return head + codePrefix(nodes[0]) + ' ' + nodes[0].val;
+  }
+  if (nodes.length === 1 && (nodes[0].type === 'Tag' || nodes[0].type === 'InterpolatedTag')) {
+    return head + ': ' + inlineTag(nodes[0]);
+  }
+  return nodes.length ? head + ' ' + inlineText(nodes) : head;
+}
+
+function shorthand(attr) {
+  if (attr.mustEscape !== false) return null;
+  var match;
+  if (attr.name === 'class' && (match = /^'([_a-zA-Z0-9\-]*[_a-zA-Z][_a-zA-Z0-9\-]*)'$/.exec(attr.val))) {
+    return '.' + match[1];
+  }
+  if (attr.name === 'id' && (match = /^'([\w-]+)'$/.exec(attr.val))) {
+    return '#' + match[1];
+  }
+  return null;
+}
+
+/**
+ * Print attributes in their original order, using `.class` and `#id`
+ * shorthands where they were (or could have been) used.
+ */
+
+function shorthandsAndAttributes(attrs) {
+  var out = '';
+  var group = [];
+  for (var i = 0; i < attrs.length; i++) {
+    var short = shorthand(attrs[i]);
+    if (short) {
+      if (group.length) out += attributes(group);
+      group = [];
+      out += short;
+    } else {
+      group.push(attrs[i]);
+    }
+  }
+  if (group.length) out += attributes(group);
+  return out;
+}
+
+function attributes(attrs) {
+  if (!attrs.length) return '';
+  return '(' + attrs.map(function (attr) {
+    var name = /^[\w\-:@.#*$\[\]]+$/.test(attr.name) ? attr.name : "'" + attr.name + "'";
+    if (attr.val === true) return name;
+    return name + (attr.mustEscape === false ? '!=' : '=') + attr.val;
+  }).join(', ') + ')';
+}
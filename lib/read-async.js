@@ -0,0 +1,373 @@
+'use strict';
+
+var endOfStream = require('./array-stream').endOfStream;
+var normalizeToken = require('./tokens').normalizeToken;
+
+module.exports = readAsync;
+
+/**
+ * Thrown by `BufferStream` when the parser needs a token that has not been
+ * received yet.
+ */
+
+var NEED_MORE = new Error('Waiting for more tokens');
+
+/**
+ * A token stream over the tokens received so far, with positions counted
+ * from the first token received.  Tokens are kept until `commit` so that the
+ * parser can be taken back to a `mark` with `rewind`, apart from those that
+ * are `release`d because they will not be read again.
+ *
+ * @api private
+ */
+
+function BufferStream() {
+  // by position, so that released tokens leave no gaps behind
+  this._tokens = new Map();
+  this._received = 0;
+  this._base = 0;
+  this._index = 0;
+  this._deferred = [];
+  this.done = false;
+}
+BufferStream.prototype.push = function (token) {
+  this._tokens.set(this._received++, token);
+};
+BufferStream.prototype.received = function () {
+  return this._received;
+};
+BufferStream.prototype.buffered = function () {
+  return this._tokens.size;
+};
+BufferStream.prototype.token = function (position) {
+  return this._tokens.get(position);
+};
+BufferStream.prototype.lookahead = function (index) {
+  var deferred = this._deferred.length;
+  if (index < deferred) return this._deferred[deferred - 1 - index];
+  var position = this._index + index - deferred;
+  if (position >= this._received) {
+    if (this.done) throw endOfStream();
+    throw NEED_MORE;
+  }
+  return this._tokens.get(position);
+};
+BufferStream.prototype.peek = function () {
+  return this.lookahead(0);
+};
+BufferStream.prototype.advance = function () {
+  var token = this.lookahead(0);
+  if (this._deferred.length) this._deferred.pop();
+  else this._index++;
+  return token;
+};
+BufferStream.prototype.defer = function (token) {
+  this._deferred.push(token);
+};
+BufferStream.prototype.position = function () {
+  return this._deferred.length ? -1 : this._index;
+};
+BufferStream.prototype.mark = function () {
+  return {index: this._index, deferred: this._deferred.slice()};
+};
+BufferStream.prototype.rewind = function (mark) {
+  this._index = mark.index;
+  this._deferred = mark.deferred.slice();
+};
+BufferStream.prototype.skip = function (position) {
+  this._index = position;
+};
+BufferStream.prototype.release = function (start, end) {
+  for (var i = start; i < end; i++) this._tokens.delete(i);
+};
+BufferStream.prototype.commit = function () {
+  this.release(this._base, this._index);
+  this._base = this._index;
+};
+
+function getIterator(tokens) {
+  var hasSymbol = typeof Symbol === 'function';
+  if (tokens && typeof tokens === 'object') {
+    if (hasSymbol && Symbol.asyncIterator && typeof tokens[Symbol.asyncIterator] === 'function') {
+      return tokens[Symbol.asyncIterator]();
+    }
+    if (hasSymbol && typeof tokens[Symbol.iterator] === 'function') {
+      return tokens[Symbol.iterator]();
+    }
+    if (typeof tokens.next === 'function') {
+      return tokens;
+    }
+  }
+  throw new Error('Expected tokens to be an Array, an iterable or an async iterable but got "' + (typeof tokens) + '"');
+}
+
+/**
+ * Statements that start with these tokens carry on past a newline while the
+ * next token is one of the listed types, as `Parser#parseText` and
+ * `Parser#parseTextHtml` do.
+ */
+
+var CONTINUED_BY = {
+  'text': ['text', 'interpolated-code', 'start-pug-interpolation', 'newline'],
+  'interpolated-code': ['text', 'interpolated-code', 'start-pug-interpolation', 'newline'],
+  'start-pug-interpolation': ['text', 'interpolated-code', 'start-pug-interpolation', 'newline'],
+  'text-html': ['text-html', 'code', 'indent', 'newline']
+};
+
+/**
+ * Whether the statement starting at `start` must wait for the rest of its
+ * tokens before it is parsed: it has tokens that plugins handle (of the
+ * `types`) outside of its nested blocks, which are statements of their own,
+ * and its last token has not been received.  The statements already parsed
+ * in the nested `blocks` are skipped over.
+ */
+
+function mustWait(stream, start, types, blocks) {
+  var first = stream.token(start);
+  if (!first || typeof first !== 'object') return false;
+  var continuedBy = CONTINUED_BY[first.type] || [];
+  // the `when` branches of a case are read by the case itself
+  var whole = first.type === 'case';
+  var indent = 0;
+  var text = 0;
+  var handled = false;
+  for (var position = start; position < stream.received();) {
+    var entry = position > start ? blocks[position] : null;
+    // on to the end of the last statement parsed, or the `outdent` of a
+    // finished block
+    var skip = entry ? (entry.end === -1 ? entry.resume : entry.end - 1) : position;
+    if (skip > position) {
+      position = skip;
+      continue;
+    }
+    var tok = stream.token(position);
+    if (!tok || typeof tok !== 'object') return handled;
+    if (tok.type === 'eos') return false;
+    if ((indent === 0 || whole) && types.indexOf(tok.type) !== -1) handled = true;
+    if (tok.type === 'indent') indent++;
+    else if (tok.type === 'start-pipeless-text') text++;
+    else if (tok.type === 'end-pipeless-text') text--;
+    else if (tok.type === 'outdent' && --indent < 0) return false;
+    position++;
+    if (indent === 0 && text === 0 && (tok.type === 'newline' || tok.type === 'outdent')) {
+      var next = stream.token(position);
+      if (!next) return handled;
+      // plugin handlers may consume the newline before an `else`
+      var continues = types.indexOf(next.type) !== -1 || next.type === 'else' ||
+        next.type === 'else-if' || continuedBy.indexOf(tok.type === 'outdent' ? 'indent' : next.type) !== -1;
+      if (!continues) return false;
+    }
+  }
+  return handled;
+}
+
+/**
+ * Parse tokens from an async iterable (or any iterable or iterator) with
+ * `parser`, returning a promise for the root block.
+ *
+ * Tokens are parsed as soon as they arrive.  When the parser needs a token
+ * that has not arrived yet, it is taken back to the start of the top-level
+ * statement and runs again once more tokens have been received, but the
+ * blocks nested in it are resumed after the last statement they had parsed,
+ * and those that were finished are reused: their statements are not parsed
+ * again and their tokens are released.  A statement with tokens that plugins
+ * handle, other than in its nested blocks, waits until all of its tokens
+ * have arrived, so that plugin handlers are only called once for each token.
+ * Warnings are only reported once the top-level statement that raised them
+ * is complete.
+ *
+ * @param {Parser} parser
+ * @param {Object} tokens
+ * @param {Array} pluginTypes the token types that plugins handle
+ * @return {Promise}
+ * @api private
+ */
+
+function readAsync(parser, tokens, pluginTypes) {
+  var iterator = getIterator(tokens);
+  var stream = parser.tokens = new BufferStream();
+  var block = parser.root();
+  var staged = [];
+  var reportWarning = parser.reportWarning;
+  parser.reportWarning = function (warning) {
+    staged.push(warning);
+  };
+
+  // the blocks nested in the top-level statement, by the position of their
+  // first statement, with what they had parsed so far: the position and
+  // parser state after their last statement (or their `end`, once finished)
+  // and the errors and warnings their statements raised.  `open` are those
+  // being parsed, innermost last.
+  var blocks = {};
+  var open = [];
+  var frontier = 0;
+  function reported() {
+    return {errors: parser.errors.length, warnings: parser.warnings.length, staged: staged.length};
+  }
+  // record the parser state and what was reported since the last call
+  function save(entry) {
+    entry.errors.push.apply(entry.errors, parser.errors.slice(entry.reported.errors));
+    entry.warnings.push.apply(entry.warnings, parser.warnings.slice(entry.reported.warnings));
+    entry.staged.push.apply(entry.staged, staged.slice(entry.reported.staged));
+    entry.reported = reported();
+    entry.count = entry.block.nodes.length;
+    entry.state = {
+      depth: parser.depth,
+      lastEnd: parser.lastEnd,
+      inMixin: parser.inMixin,
+      xml: parser.xml,
+      trivia: parser.trivia.slice()
+    };
+  }
+  function restore(entry) {
+    parser.depth = entry.state.depth;
+    parser.lastEnd = entry.state.lastEnd;
+    parser.inMixin = entry.state.inMixin;
+    parser.xml = entry.state.xml;
+    parser.trivia = entry.state.trivia.slice();
+    parser.errors.push.apply(parser.errors, entry.errors);
+    parser.warnings.push.apply(parser.warnings, entry.warnings);
+    staged.push.apply(staged, entry.staged);
+    entry.reported = reported();
+  }
+  // the blocks inside a finished statement are not read again
+  function forget(entry) {
+    entry.inner.forEach(function (position) {
+      // unless it was dropped, as it ended on a deferred token
+      if (blocks[position]) forget(blocks[position]);
+      delete blocks[position];
+    });
+    entry.inner = [];
+  }
+
+  var blockStatements = parser.blockStatements;
+  parser.blockStatements = function (block) {
+    var start = stream.position();
+    if (start === -1) return blockStatements.call(this, block);
+    var entry = blocks[start];
+    if (entry && entry.end !== -1) {
+      restore(entry);
+      stream.skip(entry.end);
+      return entry.block;
+    }
+    if (entry) {
+      restore(entry);
+      stream.skip(entry.resume);
+      // without what a statement that was not finished added
+      entry.block.nodes.length = entry.count;
+    } else {
+      entry = blocks[start] = {
+        block: block,
+        resume: start,
+        end: -1,
+        errors: [],
+        warnings: [],
+        staged: [],
+        reported: reported(),
+        inner: []
+      };
+      save(entry);
+      if (open.length) open[open.length - 1].inner.push(start);
+    }
+    open.push(entry);
+    try {
+      entry.block = blockStatements.call(this, entry.block);
+    } finally {
+      open.pop();
+    }
+    var end = stream.position();
+    if (end === -1) {
+      delete blocks[start];
+    } else {
+      entry.end = end;
+      save(entry);
+      forget(entry);
+      frontier = Math.max(frontier, end);
+    }
+    return entry.block;
+  };
+
+  var parseStatement = parser.parseStatement;
+  parser.parseStatement = function (block) {
+    var start = stream.position();
+    if (start !== -1 && !stream.done && pluginTypes.length &&
+        mustWait(stream, start, pluginTypes, blocks)) {
+      throw NEED_MORE;
+    }
+    var depth = parser.depth;
+    parseStatement.call(this, block);
+    var end = stream.position();
+    var entry = open[open.length - 1];
+    if (entry && entry.block === block && start !== -1 && end !== -1 && parser.depth === depth) {
+      entry.resume = end;
+      save(entry);
+      forget(entry);
+      frontier = Math.max(frontier, end);
+      stream.release(start, end);
+    }
+  };
+
+  var wanted = 1;
+  return new Promise(function (resolve, reject) {
+    function pull() {
+      if (stream.done || stream.received() >= wanted) return parseAvailable();
+      Promise.resolve(iterator.next()).then(function (result) {
+        if (result.done) stream.done = true;
+        else if (parser.normalizeTokens) normalizeToken(result.value).forEach(stream.push, stream);
+        else stream.push(result.value);
+        pull();
+      }).then(null, reject);
+    }
+    function parseAvailable() {
+      while (true) {
+        var mark = stream.mark();
+        var state = {
+          depth: parser.depth,
+          lastEnd: parser.lastEnd,
+          inMixin: parser.inMixin,
+          xml: parser.xml,
+          trivia: parser.trivia.slice(),
+          errors: parser.errors.length,
+          warnings: parser.warnings.length
+        };
+        try {
+          if (parser.peek().type === 'eos') {
+            parser.reportWarning = reportWarning;
+            return resolve(parser.complete(block));
+          }
+          parser.parseStatement(block);
+        } catch (ex) {
+          if (ex !== NEED_MORE) {
+            // raised before the error, as `parse` would have reported them
+            reportStaged();
+            return reject(ex);
+          }
+          stream.rewind(mark);
+          parser.depth = state.depth;
+          parser.lastEnd = state.lastEnd;
+          parser.inMixin = state.inMixin;
+          parser.xml = state.xml;
+          parser.trivia = state.trivia;
+          parser.errors.length = state.errors;
+          parser.warnings.length = state.warnings;
+          staged = [];
+          // at least as many tokens again as will be parsed again
+          var received = stream.received();
+          wanted = received + Math.max(1, received - Math.max(frontier, mark.index));
+          return pull();
+        }
+        stream.commit();
+        blocks = {};
+        frontier = 0;
+        reportStaged();
+      }
+    }
+    function reportStaged() {
+      staged.forEach(function (warning) {
+        reportWarning.call(parser, warning);
+      });
+      staged = [];
+    }
+    pull();
+  });
+}
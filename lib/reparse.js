@@ -0,0 +1,344 @@
+'use strict';
+
+var error = require('pug-error');
+
+module.exports = reparse;
+
+/**
+ * The codes of the errors and warnings from the checks that run once the
+ * whole template has been parsed, which are checked again after an edit
+ * rather than kept.
+ */
+
+var TEMPLATE_CODES = [
+  'INVALID_AST', 'INVALID_NESTING', 'EXTENDS_NOT_FIRST', 'DUPLICATE_BLOCK',
+  'UNEXPECTED_BLOCK_MODE', 'UNEXPECTED_YIELD', 'UNEXPECTED_NODES_IN_EXTENDING_ROOT',
+  'DUPLICATE_MIXIN', 'UNDEFINED_MIXIN', 'MIXIN_ARGUMENTS'
+].map(function (code) {
+  return 'PUG:' + code;
+});
+
+/**
+ * Reparse a template after an edit, reusing the parts of `previous` that the
+ * edit did not touch.
+ *
+ * `range` gives the first and last lines of the old source that were
+ * replaced, as `{line, endLine}`.  Tokens on earlier lines must be identical
+ * in `oldTokens` and `newTokens`, and tokens on later lines may only differ in
+ * their line numbers.  The smallest statement that contains every changed
+ * token is parsed again from `newTokens`, nodes after it are moved by the
+ * number of lines added or removed, and everything else is shared with
+ * `previous`.  The checks, hooks and source offsets that need the whole
+ * template are then run again as `parse` would.  If no statement below the
+ * root contains the edit, or the new tokens do not fit back into the same
+ * place, the whole template is parsed.
+ *
+ * `previous` is the value returned by `parse(oldTokens, options)`, so in
+ * recovery mode it is `{ast, errors, warnings, mixins}` and the same shape is
+ * returned.  Neither token array is modified.
+ *
+ * @param {Object} previous
+ * @param {Array} oldTokens
+ * @param {Array} newTokens
+ * @param {Object} range
+ * @param {Object} options
+ * @return {Object}
+ * @api public
+ */
+
+function reparse(previous, oldTokens, newTokens, range, options) {
+  var parse = require('../');
+  options = options || {};
+  var fullParse = function () {
+    return parse(newTokens.slice(), options);
+  };
+  if (!Array.isArray(oldTokens) || !Array.isArray(newTokens) || !range) {
+    return fullParse();
+  }
+  var recover = !!options.recover;
+  var ast = recover ? previous.ast : previous;
+  var oldEos = oldTokens[oldTokens.length - 1];
+  var newEos = newTokens[newTokens.length - 1];
+  if (!ast || !oldEos || !newEos || oldEos.type !== 'eos' || newEos.type !== 'eos') {
+    return fullParse();
+  }
+  var delta = newEos.line - oldEos.line;
+  var prefixLength = countWhile(oldTokens, 1, function (tok) { return tok.line < range.line; });
+  var suffixLength = countWhile(oldTokens, -1, function (tok) { return tok.line > range.endLine; });
+  if (prefixLength !== countWhile(newTokens, 1, function (tok) { return tok.line < range.line; }) ||
+      suffixLength !== countWhile(newTokens, -1, function (tok) { return tok.line > range.endLine + delta; })) {
+    return fullParse();
+  }
+  var changedEnd = oldTokens.length - suffixLength;
+
+  var index = indexTokens(oldTokens);
+  var target = findStatement(ast, oldTokens, index, prefixLength, changedEnd);
+  if (!target) return fullParse();
+
+  var start = target.start;
+  var end = target.end + newTokens.length - oldTokens.length;
+  var boundary = newTokens[end];
+  var parser = new parse.Parser(newTokens.slice(start, end + 1).concat([newEos]), options);
+  parser.inMixin = target.inMixin;
+  parser.lastEnd = previousEnd(parser, newTokens, start);
+  var block = parser.emptyBlock(target.node.line, target.node.column);
+  try {
+    while (parser.peek() !== boundary && parser.peek().type !== 'eos') {
+      parser.parseStatement(block);
+    }
+  } catch (ex) {
+    return fullParse();
+  }
+  if (parser.peek() !== boundary || parser.depth !== 0) {
+    return fullParse();
+  }
+  var nodes = JSON.parse(JSON.stringify(block.nodes));
+  var last = nodes[nodes.length - 1];
+
+  var edit = {
+    container: target.container,
+    statement: target.node,
+    nodes: nodes,
+    afterLine: range.endLine,
+    delta: delta,
+    oldEnd: {line: target.node.endLine, column: target.node.endColumn},
+    newEnd: last ? {line: last.endLine, column: last.endColumn} : null,
+    // the offsets of nodes after the edit move even if their lines do not
+    sourceMap: parser.sourceMap
+  };
+  var result = parser.completeTemplate(rebuild(ast, edit));
+  parser.checkAst(result);
+  if (!recover) return result;
+
+  return {
+    ast: result,
+    errors: keepOutside(previous.errors, target.node, range.endLine, delta, function (err, line) {
+      return error(err.code.replace(/^PUG:/, ''), err.msg, {
+        line: line,
+        column: err.column,
+        filename: err.filename,
+        src: options.src
+      });
+    }).concat(parser.errors),
+    warnings: keepOutside(previous.warnings, target.node, range.endLine, delta, function (warning, line) {
+      var copy = {};
+      for (var key in warning) copy[key] = warning[key];
+      copy.line = line;
+      return copy;
+    }).concat(parser.warnings),
+    mixins: parser.mixins
+  };
+}
+
+function countWhile(tokens, direction, test) {
+  var count = 0;
+  var i = direction > 0 ? 0 : tokens.length - 1;
+  while (i >= 0 && i < tokens.length && test(tokens[i])) {
+    count++;
+    i += direction;
+  }
+  return count;
+}
+
+/**
+ * Map "line:col" to the index of the first token at that position, ignoring
+ * the layout tokens that share a column with the first token of a line.
+ */
+
+function indexTokens(tokens) {
+  var index = {};
+  for (var i = 0; i < tokens.length; i++) {
+    if (['newline', 'indent', 'outdent', 'eos'].indexOf(tokens[i].type) !== -1) continue;
+    var key = tokens[i].line + ':' + tokens[i].col;
+    if (!(key in index)) index[key] = i;
+  }
+  return index;
+}
+
+/**
+ * The blocks of `node` whose nodes are parsed as whole statements, by
+ * `Parser#block` rather than by the inline or text parsing loops.
+ */
+
+function statementBlocks(node) {
+  switch (node.type) {
+    case 'Tag':
+    case 'InterpolatedTag':
+      return node.textOnly ? [] : [node.block];
+    case 'Mixin':
+    case 'While':
+    case 'Code':
+    case 'Include':
+    case 'When':
+      return node.block ? [node.block] : [];
+    case 'Each':
+      return node.alternate ? [node.block, node.alternate] : [node.block];
+    case 'Conditional':
+      if (!node.alternate) return [node.consequent];
+      if (node.alternate.type === 'Conditional') {
+        return [node.consequent].concat(statementBlocks(node.alternate));
+      }
+      return [node.consequent, node.alternate];
+    case 'Case':
+      return node.block.nodes.reduce(function (blocks, when) {
+        return blocks.concat(statementBlocks(when));
+      }, []);
+    case 'NamedBlock':
+      return [node];
+    default:
+      return [];
+  }
+}
+
+/**
+ * The end of the last token before `start` that is not layout, which is
+ * where the parser would have been when it reached the statement.
+ */
+
+function previousEnd(parser, tokens, start) {
+  for (var i = start - 1; i >= 0; i--) {
+    if (['newline', 'indent', 'outdent', 'eos'].indexOf(tokens[i].type) === -1) {
+      return parser.tokenEnd(tokens[i], tokens[i + 1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the innermost statement whose tokens include every changed token.
+ */
+
+function findStatement(root, tokens, index, changedStart, changedEnd) {
+  var found = null;
+  var containers = [{block: root, inMixin: 0}];
+  while (containers.length) {
+    var container = containers.shift();
+    var statements = statementRanges(container.block, tokens, index);
+    if (!statements) continue;
+    for (var i = 0; i < statements.length; i++) {
+      var statement = statements[i];
+      if (statement.start <= changedStart && statement.end >= changedEnd) {
+        var inMixin = container.inMixin +
+          (statement.node.type === 'Mixin' && !statement.node.call ? 1 : 0);
+        found = {
+          container: container.block,
+          node: statement.node,
+          start: statement.start,
+          end: statement.end,
+          inMixin: container.inMixin
+        };
+        containers = statementBlocks(statement.node).map(function (block) {
+          return {block: block, inMixin: inMixin};
+        });
+        break;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Find the token range of each statement in `block`, or `null` if the block
+ * contains anything that cannot be parsed on its own.
+ */
+
+function statementRanges(block, tokens, index) {
+  var ranges = [];
+  for (var i = 0; i < block.nodes.length; i++) {
+    var node = block.nodes[i];
+    if (node.isHtml) return null;
+    var start = index[node.line + ':' + node.column];
+    if (start === undefined) return null;
+    var previous = tokens[start - 1];
+    if (previous && ['newline', 'indent', 'outdent'].indexOf(previous.type) === -1) {
+      // inline content on the line of the tag that owns the block
+      continue;
+    }
+    ranges.push({node: node, start: start});
+  }
+  for (var i = 0; i < ranges.length; i++) {
+    ranges[i].end = i + 1 < ranges.length ? ranges[i + 1].start : blockEnd(tokens, ranges[i].start);
+  }
+  return ranges;
+}
+
+/**
+ * Find the outdent (or eos) that closes the block containing the token at
+ * `start`.
+ */
+
+function blockEnd(tokens, start) {
+  var depth = 0;
+  for (var i = start; i < tokens.length; i++) {
+    var type = tokens[i].type;
+    if (type === 'eos') return i;
+    if (type === 'indent' || type === 'start-pipeless-text') depth++;
+    if (type === 'outdent' || type === 'end-pipeless-text') {
+      if (depth === 0) return i;
+      depth--;
+    }
+  }
+  return tokens.length - 1;
+}
+
+/**
+ * Copy the path from `value` down to the edited statement, replacing the
+ * statement with the new nodes and moving everything after the edit by
+ * `edit.delta` lines.  Subtrees that end before the edited statement are
+ * shared rather than copied.
+ */
+
+function rebuild(value, edit) {
+  if (Array.isArray(value)) {
+    return value.map(function (item) {
+      return rebuild(item, edit);
+    });
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (typeof value.endLine === 'number' && (value.endLine < edit.statement.line ||
+      (edit.delta === 0 && !edit.sourceMap && value.line > edit.afterLine))) {
+    return value;
+  }
+  var copy = {};
+  for (var key in value) {
+    if (key === 'nodes' && value === edit.container) {
+      copy.nodes = [];
+      for (var i = 0; i < value.nodes.length; i++) {
+        if (value.nodes[i] === edit.statement) {
+          copy.nodes = copy.nodes.concat(edit.nodes);
+        } else {
+          copy.nodes.push(rebuild(value.nodes[i], edit));
+        }
+      }
+    } else if (key === 'line') {
+      copy.line = value.line > edit.afterLine ? value.line + edit.delta : value.line;
+    } else {
+      copy[key] = rebuild(value[key], edit);
+    }
+  }
+  if (typeof value.endLine === 'number') {
+    if (value.endLine === edit.oldEnd.line && value.endColumn === edit.oldEnd.column) {
+      var end = edit.newEnd || {line: copy.line, column: copy.column};
+      copy.endLine = end.line;
+      copy.endColumn = end.column;
+    } else if (value.endLine > edit.afterLine) {
+      copy.endLine = value.endLine + edit.delta;
+    }
+  }
+  return copy;
+}
+
+/**
+ * Keep the errors or warnings reported outside of the reparsed statement,
+ * other than those of the checks on the whole template, moving those after
+ * the edit by `delta` lines.
+ */
+
+function keepOutside(list, statement, afterLine, delta, move) {
+  return (list || []).filter(function (item) {
+    if (TEMPLATE_CODES.indexOf(item.code) !== -1) return false;
+    return item.line < statement.line || item.line > statement.endLine;
+  }).map(function (item) {
+    return item.line > afterLine ? move(item, item.line + delta) : item;
+  });
+}
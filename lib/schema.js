@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * The shape of every node the parser produces.
+ *
+ * Each entry maps a field name to its type.  A type is `string`, `number`,
+ * `boolean`, `null`, `Node` (any node), the name of another entry, or a quoted
+ * string literal.  `[]` marks an array of that type, alternatives are
+ * separated by `|`, and a leading `?` marks a field that may be left out.
+ *
+ * Entries listed in `nodes` are nodes and also have the fields in `common`.
+ * The other entries describe values that only appear inside nodes.
+ */
+
+var common = {
+  type: 'string',
+  line: 'number',
+  column: 'number',
+  endLine: 'number',
+  endColumn: 'number',
+  filename: '?string',
+  leadingTrivia: '?Trivia[]',
+  trailingTrivia: '?Trivia[]',
+  offset: '?number',
+  endOffset: '?number'
+};
+
+var nodes = {
+  Block: {
+    nodes: 'Node[]',
+    indent: '?string'
+  },
+  NamedBlock: {
+    name: 'string',
+    mode: "'replace'|'append'|'prepend'",
+    nodes: 'Node[]',
+    indent: '?string'
+  },
+  Tag: {
+    name: 'string',
+    selfClosing: 'boolean',
+    block: 'Block',
+    attrs: 'Attribute[]',
+    attributeBlocks: 'string[]',
+    isInline: 'boolean',
+    textOnly: '?boolean'
+  },
+  InterpolatedTag: {
+    expr: 'string',
+    selfClosing: 'boolean',
+    block: 'Block',
+    attrs: 'Attribute[]',
+    attributeBlocks: 'string[]',
+    isInline: 'boolean',
+    textOnly: '?boolean'
+  },
+  Mixin: {
+    name: 'string',
+    args: 'string|null',
+    block: 'Block|null',
+    call: 'boolean',
+    attrs: '?Attribute[]',
+    attributeBlocks: '?string[]',
+    textOnly: '?boolean'
+  },
+  MixinBlock: {},
+  YieldBlock: {},
+  Text: {
+    val: 'string',
+    isHtml: '?boolean',
+    kind: "?'piped'|'block'|'inline'|'html'",
+    preserveWhitespace: '?boolean'
+  },
+  Code: {
+    val: 'string',
+    buffer: 'boolean',
+    mustEscape: 'boolean',
+    isInline: 'boolean',
+    debug: '?boolean',
+    block: '?Block'
+  },
+  Comment: {
+    val: 'string',
+    buffer: 'boolean'
+  },
+  BlockComment: {
+    val: 'string',
+    buffer: 'boolean',
+    block: 'Block'
+  },
+  Doctype: {
+    val: 'string'
+  },
+  Conditional: {
+    test: 'string',
+    consequent: 'Block',
+    alternate: 'Conditional|Block|null'
+  },
+  While: {
+    test: 'string',
+    block: 'Block'
+  },
+  Each: {
+    obj: 'string',
+    val: 'string',
+    key: 'string|null',
+    block: 'Block',
+    alternate: '?Block'
+  },
+  Case: {
+    expr: 'string',
+    block: 'Block'
+  },
+  When: {
+    expr: 'string',
+    block: 'Block|null',
+    fallthrough: '?boolean',
+    debug: 'boolean'
+  },
+  Filter: {
+    name: 'string',
+    block: 'Block',
+    attrs: 'Attribute[]'
+  },
+  IncludeFilter: {
+    name: 'string',
+    attrs: 'Attribute[]'
+  },
+  Extends: {
+    file: 'FileReference'
+  },
+  Include: {
+    file: 'FileReference',
+    block: 'Block'
+  },
+  RawInclude: {
+    file: 'FileReference',
+    filters: 'IncludeFilter[]'
+  },
+  FileReference: {
+    path: 'string'
+  },
+  Error: {
+    code: 'string',
+    message: 'string'
+  }
+};
+
+var values = {
+  Attribute: {
+    name: 'string',
+    val: 'string|boolean',
+    mustEscape: 'boolean',
+    constant: '?boolean',
+    value: '?string|number|boolean',
+    isBoolean: '?boolean',
+    classes: '?string[]',
+    styles: '?Styles',
+    line: 'number',
+    column: 'number',
+    endLine: 'number',
+    endColumn: 'number',
+    offset: '?number',
+    endOffset: '?number'
+  },
+  // CSS property names to values, with any keys
+  Styles: {},
+  BlankLines: {
+    type: "'BlankLines'",
+    count: 'number',
+    line: 'number'
+  },
+  Trivia: 'BlankLines|Comment|BlockComment'
+};
+
+Object.keys(nodes).forEach(function (type) {
+  var fields = {};
+  Object.keys(common).forEach(function (key) {
+    fields[key] = common[key];
+  });
+  Object.keys(nodes[type]).forEach(function (key) {
+    fields[key] = nodes[type][key];
+  });
+  nodes[type] = fields;
+});
+
+exports.common = common;
+exports.nodes = nodes;
+exports.values = values;
@@ -0,0 +1,174 @@
+'use strict';
+
+var walk = require('./walk').walk;
+
+exports.addOffsets = addOffsets;
+exports.lineStarts = lineStarts;
+exports.SourceMap = SourceMap;
+
+/**
+ * Set `offset` and `endOffset`, the range of characters in `src`, on every
+ * node and attribute in `ast` from their lines and columns.
+ *
+ * @param {Object} ast
+ * @param {String} src
+ * @api private
+ */
+
+function addOffsets(ast, src) {
+  var starts = lineStarts(src);
+  function setOffsets(item) {
+    item.offset = toOffset(starts, src, item.line, item.column);
+    item.endOffset = toOffset(starts, src, item.endLine, item.endColumn);
+  }
+  walk(ast, {
+    enter: function (node) {
+      setOffsets(node);
+      if (Array.isArray(node.attrs)) node.attrs.forEach(setOffsets);
+    }
+  });
+}
+
+/**
+ * The offset in `src` at which each line starts.
+ *
+ * @param {String} src
+ * @return {Array}
+ * @api private
+ */
+
+function lineStarts(src) {
+  var starts = [0];
+  for (var i = 0; i < src.length; i++) {
+    if (src[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function toOffset(starts, src, line, column) {
+  if (typeof line !== 'number' || line < 1) return 0;
+  if (line > starts.length) return src.length;
+  return Math.min(starts[line - 1] + (column || 1) - 1, src.length);
+}
+
+/**
+ * Build a version 3 source map from code generated for the nodes of a
+ * template back to the template, for code generators to fill in as they
+ * output code.  `options.filename` names the template and `options.src`
+ * is included as its content, `options.file` names the generated code.
+ *
+ * @param {Object} options
+ * @api public
+ */
+
+function SourceMap(options) {
+  options = options || {};
+  this.file = options.file;
+  this.filename = options.filename;
+  this.src = options.src;
+  this.names = [];
+  this.mappings = [];
+}
+
+SourceMap.prototype = {
+  constructor: SourceMap,
+
+  /**
+   * Map the code starting at line `generated.line` (1-based) and column
+   * `generated.column` (0-based) to the start of `node`, which may also be
+   * an attribute.  Tags, mixins, named blocks and attributes have their
+   * name added.
+   *
+   * @param {Object} generated
+   * @param {Object} node
+   * @api public
+   */
+
+  add: function (generated, node) {
+    var name = typeof node.name === 'string' ? node.name : null;
+    if (name !== null && this.names.indexOf(name) === -1) this.names.push(name);
+    this.mappings.push({
+      generatedLine: generated.line,
+      generatedColumn: generated.column,
+      line: node.line,
+      column: (node.column || 1) - 1,
+      name: name === null ? -1 : this.names.indexOf(name)
+    });
+  },
+
+  /**
+   * The source map as an object in the version 3 format.
+   *
+   * @return {Object}
+   * @api public
+   */
+
+  toJSON: function () {
+    var map = {version: 3};
+    if (this.file) map.file = this.file;
+    map.sources = [this.filename || ''];
+    if (typeof this.src === 'string') map.sourcesContent = [this.src];
+    map.names = this.names.slice();
+    map.mappings = this.encode();
+    return map;
+  },
+
+  toString: function () {
+    return JSON.stringify(this.toJSON());
+  },
+
+  /**
+   * Encode the mappings as base 64 VLQ segments, each relative to the one
+   * before it, with a `;` for every generated line.
+   *
+   * @return {String}
+   * @api private
+   */
+
+  encode: function () {
+    var mappings = this.mappings.slice().sort(function (a, b) {
+      return a.generatedLine - b.generatedLine || a.generatedColumn - b.generatedColumn;
+    });
+    var out = '';
+    var line = 1;
+    var previous = {generatedColumn: 0, line: 0, column: 0, name: 0};
+    for (var i = 0; i < mappings.length; i++) {
+      var mapping = mappings[i];
+      if (mapping.generatedLine !== line) {
+        while (line < mapping.generatedLine) {
+          out += ';';
+          line++;
+        }
+        previous.generatedColumn = 0;
+      } else if (i > 0) {
+        out += ',';
+      }
+      out += vlq(mapping.generatedColumn - previous.generatedColumn);
+      out += vlq(0);
+      out += vlq(mapping.line - 1 - previous.line);
+      out += vlq(mapping.column - previous.column);
+      if (mapping.name !== -1) {
+        out += vlq(mapping.name - previous.name);
+        previous.name = mapping.name;
+      }
+      previous.generatedColumn = mapping.generatedColumn;
+      previous.line = mapping.line - 1;
+      previous.column = mapping.column;
+    }
+    return out;
+  }
+};
+
+var BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function vlq(value) {
+  var digits = value < 0 ? (-value << 1) | 1 : value << 1;
+  var out = '';
+  do {
+    var digit = digits & 31;
+    digits >>>= 5;
+    if (digits > 0) digit |= 32;
+    out += BASE64[digit];
+  } while (digits > 0);
+  return out;
+}
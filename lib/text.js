@@ -0,0 +1,68 @@
+'use strict';
+
+var walk = require('./walk').walk;
+
+module.exports = normalizeText;
+
+/**
+ * Elements whose text is rendered with its whitespace as written.
+ */
+
+var WHITESPACE_SENSITIVE = ['pre', 'textarea', 'script', 'style'];
+
+/**
+ * Merge adjacent `Text` nodes in each block of `ast` into one, and mark the
+ * text inside `pre`, `textarea`, `script` and `style` elements with
+ * `preserveWhitespace`.
+ *
+ * Only text of the same `kind` is merged, with the same `isHtml`, so that
+ * merged nodes still say where they came from.  In CST mode text with
+ * `leadingTrivia` is not merged into the text before it.  Merged text is a
+ * new node, and blocks are only changed if they had text to merge, so that
+ * nodes shared with an earlier AST (see `Parser.reparse`) are left as they
+ * were.
+ *
+ * @param {Object} ast
+ * @api private
+ */
+
+function normalizeText(ast) {
+  var sensitive = 0;
+  walk(ast, {
+    Block: function (block) {
+      var nodes = mergeText(block.nodes);
+      if (nodes.length !== block.nodes.length) block.nodes = nodes;
+    },
+    Tag: {
+      enter: function (tag) {
+        if (WHITESPACE_SENSITIVE.indexOf(tag.name) !== -1) sensitive++;
+      },
+      exit: function (tag) {
+        if (WHITESPACE_SENSITIVE.indexOf(tag.name) !== -1) sensitive--;
+      }
+    },
+    Text: function (text) {
+      if (sensitive) text.preserveWhitespace = true;
+    }
+  });
+}
+
+function mergeText(nodes) {
+  var result = [];
+  for (var i = 0; i < nodes.length; i++) {
+    var node = nodes[i];
+    var previous = result[result.length - 1];
+    if (previous && previous.type === 'Text' && node && node.type === 'Text' &&
+        previous.kind === node.kind && !previous.isHtml === !node.isHtml && !node.leadingTrivia) {
+      var merged = {};
+      for (var key in previous) merged[key] = previous[key];
+      merged.val += node.val;
+      merged.endLine = node.endLine;
+      merged.endColumn = node.endColumn;
+      result[result.length - 1] = merged;
+    } else {
+      result.push(node);
+    }
+  }
+  return result;
+}
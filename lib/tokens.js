@@ -0,0 +1,289 @@
+'use strict';
+
+exports.tokens = tokens;
+exports.validateTokens = validateTokens;
+exports.normalizeTokens = normalizeTokens;
+exports.normalizeIterator = normalizeIterator;
+exports.normalizeToken = normalizeToken;
+exports.isPosition = isPosition;
+
+/**
+ * The fields of each token type from pug-lexer, in the type language of
+ * `lib/schema.js`.  Every token also has a string `type` and numeric `line`
+ * and `col`.
+ */
+
+var tokens = {
+  ':': {},
+  '&attributes': {val: 'string'},
+  attribute: {name: 'string', val: 'string|boolean', mustEscape: 'boolean'},
+  block: {val: 'string', mode: "'replace'|'append'|'prepend'"},
+  blockcode: {},
+  call: {val: 'string', args: '?string|null'},
+  case: {val: 'string'},
+  class: {val: 'string'},
+  code: {val: 'string', mustEscape: 'boolean', buffer: 'boolean'},
+  comment: {val: 'string', buffer: 'boolean'},
+  default: {},
+  doctype: {val: '?string'},
+  dot: {},
+  each: {val: 'string', key: '?string|null', code: 'string'},
+  else: {val: '?string'},
+  'else-if': {val: 'string'},
+  'end-attributes': {},
+  'end-pipeless-text': {},
+  'end-pug-interpolation': {},
+  eos: {},
+  extends: {},
+  filter: {val: 'string'},
+  id: {val: 'string'},
+  if: {val: 'string'},
+  include: {},
+  indent: {val: 'number'},
+  'interpolated-code': {val: 'string', mustEscape: 'boolean', buffer: 'boolean'},
+  interpolation: {val: 'string'},
+  mixin: {val: 'string', args: '?string|null'},
+  'mixin-block': {},
+  newline: {},
+  outdent: {},
+  path: {val: 'string'},
+  slash: {},
+  'start-attributes': {},
+  'start-pipeless-text': {},
+  'start-pug-interpolation': {},
+  tag: {val: 'string'},
+  text: {val: 'string'},
+  'text-html': {val: 'string'},
+  when: {val: 'string'},
+  while: {val: 'string'},
+  yield: {}
+};
+
+/**
+ * Token types that open a region, and the type that closes it.
+ */
+
+var PAIRS = {
+  indent: 'outdent',
+  'start-attributes': 'end-attributes',
+  'start-pipeless-text': 'end-pipeless-text',
+  'start-pug-interpolation': 'end-pug-interpolation'
+};
+var CLOSERS = {};
+Object.keys(PAIRS).forEach(function (open) {
+  CLOSERS[PAIRS[open]] = open;
+});
+
+/**
+ * Check `tokens` before they are parsed, returning a list of problems, each
+ * with the `index` of the token, a `message` and the `line` and `column` of
+ * the token, or of the last token with a position.  Checks that:
+ *
+ *  - every token is an object with a known `type` and a numeric `line` and
+ *    `col`, and the fields of its type from `tokens`
+ *  - `indent`/`outdent`, `start-attributes`/`end-attributes`,
+ *    `start-pipeless-text`/`end-pipeless-text` and
+ *    `start-pug-interpolation`/`end-pug-interpolation` are balanced and
+ *    properly nested
+ *  - there is exactly one `eos`, at the end
+ *
+ * Token types in `options.types` are allowed without their fields being
+ * checked, for plugins that handle tokens of their own.
+ *
+ * @param {Array} list
+ * @param {Object} options
+ * @return {Array}
+ * @api public
+ */
+
+function validateTokens(list, options) {
+  var extraTypes = (options && options.types) || [];
+  var problems = [];
+  var stack = [];
+  var position = {line: 1, column: 1};
+  function report(index, message) {
+    problems.push({index: index, message: message, line: position.line, column: position.column});
+  }
+
+  for (var i = 0; i < list.length; i++) {
+    var tok = list[i];
+    if (!tok || typeof tok !== 'object' || Array.isArray(tok)) {
+      report(i, 'Token ' + i + ' is not an object');
+      continue;
+    }
+    if (isPosition(tok.line)) {
+      position = {line: tok.line, column: isPosition(tok.col) ? tok.col : undefined};
+    }
+    var label = 'Token ' + i + (typeof tok.type === 'string' ? ' ("' + tok.type + '")' : '');
+    if (!isPosition(tok.line)) report(i, label + ' needs a numeric "line"');
+    if (!isPosition(tok.col)) report(i, label + ' needs a numeric "col"');
+    if (typeof tok.type !== 'string') {
+      report(i, label + ' needs a string "type"');
+      continue;
+    }
+    if (!Object.prototype.hasOwnProperty.call(tokens, tok.type)) {
+      if (extraTypes.indexOf(tok.type) === -1) report(i, label + ' has an unknown type');
+      continue;
+    }
+    var fields = tokens[tok.type];
+    Object.keys(fields).forEach(function (key) {
+      var type = fields[key];
+      var optional = type.charAt(0) === '?';
+      if (optional) type = type.slice(1);
+      if (tok[key] === undefined) {
+        if (!optional) report(i, label + ' is missing "' + key + '"');
+      } else if (!matches(tok[key], type)) {
+        report(i, label + ' has "' + key + '" of type ' + describe(tok[key]) + ', expected ' + type.split('|').join(' or '));
+      }
+    });
+
+    if (PAIRS[tok.type]) {
+      stack.push({type: tok.type, index: i});
+    } else if (CLOSERS[tok.type]) {
+      var open = stack[stack.length - 1];
+      if (!open || open.type !== CLOSERS[tok.type]) {
+        report(i, label + ' does not close ' +
+          (open ? 'the "' + open.type + '" at token ' + open.index : 'anything'));
+      } else {
+        stack.pop();
+      }
+    } else if (tok.type === 'eos' && i !== list.length - 1) {
+      report(i, label + ' is not the last token');
+    }
+  }
+  if (!list.length || !list[list.length - 1] || list[list.length - 1].type !== 'eos') {
+    report(list.length, 'The tokens do not end with an "eos" token');
+  }
+  stack.forEach(function (open) {
+    report(open.index, 'Token ' + open.index + ' ("' + open.type + '") is never closed by "' + PAIRS[open.type] + '"');
+  });
+  return problems;
+}
+
+function matches(value, type) {
+  return type.split('|').some(function (alternative) {
+    if (/^'.*'$/.test(alternative)) return value === alternative.slice(1, -1);
+    if (alternative === 'null') return value === null;
+    return typeof value === alternative;
+  });
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Whether `value` can be a token's `line` or `col`.
+ *
+ * @param {*} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isPosition(value) {
+  return typeof value === 'number' && value % 1 === 0 && value >= 0;
+}
+
+/**
+ * Convert tokens from other versions of pug-lexer to the shape the parser
+ * expects:
+ *
+ *  - tokens with a `loc` but no `line` and `col`, from newer lexers, are
+ *    given the `line` and `col` of `loc.start`, and keep `loc` for their end
+ *  - `escape` on code and `escaped` on attributes, from older lexers, become
+ *    `mustEscape`
+ *  - `attrs` tokens, from older lexers, become `start-attributes`, an
+ *    `attribute` for each attribute and `end-attributes`, followed by a
+ *    `slash` if the tag was self closing
+ *
+ * Tokens that need no change are returned as they are.
+ *
+ * @param {Array} list
+ * @return {Array}
+ * @api public
+ */
+
+function normalizeTokens(list) {
+  var result = [];
+  list.forEach(function (tok) {
+    result.push.apply(result, normalizeToken(tok));
+  });
+  return result;
+}
+
+/**
+ * Like `normalizeTokens` for an iterator, converting tokens as they are read.
+ *
+ * @param {Object} iterator
+ * @return {Object}
+ * @api private
+ */
+
+function normalizeIterator(iterator) {
+  var queue = [];
+  return {
+    next: function () {
+      while (!queue.length) {
+        var result = iterator.next();
+        if (result.done) return result;
+        queue = normalizeToken(result.value);
+      }
+      return {done: false, value: queue.shift()};
+    }
+  };
+}
+
+/**
+ * The tokens that `tok` becomes in `normalizeTokens`.
+ *
+ * @param {Object} tok
+ * @return {Array}
+ * @api private
+ */
+
+function normalizeToken(tok) {
+  if (!tok || typeof tok !== 'object') return [tok];
+  var copy = null;
+  function change(key, value) {
+    copy = copy || clone(tok);
+    copy[key] = value;
+  }
+  if (tok.loc && tok.loc.start && tok.line === undefined) {
+    change('line', tok.loc.start.line);
+    change('col', tok.loc.start.column);
+  }
+  if ((tok.type === 'code' || tok.type === 'interpolated-code') &&
+      tok.mustEscape === undefined && typeof tok.escape === 'boolean') {
+    change('mustEscape', tok.escape);
+  }
+  if (tok.type === 'attribute' && tok.mustEscape === undefined && typeof tok.escaped === 'boolean') {
+    change('mustEscape', tok.escaped);
+  }
+  tok = copy || tok;
+  if (tok.type !== 'attrs' || !Array.isArray(tok.attrs)) return [tok];
+
+  var expanded = [{type: 'start-attributes', line: tok.line, col: tok.col}];
+  tok.attrs.forEach(function (attr) {
+    expanded.push({
+      type: 'attribute',
+      name: attr.name,
+      val: attr.val,
+      mustEscape: attr.mustEscape !== undefined ? attr.mustEscape : attr.escaped !== false,
+      line: attr.line === undefined ? tok.line : attr.line,
+      col: attr.col === undefined ? tok.col : attr.col
+    });
+  });
+  expanded.push({type: 'end-attributes', line: tok.line, col: tok.col});
+  if (tok.selfClosing) expanded.push({type: 'slash', line: tok.line, col: tok.col});
+  return expanded;
+}
+
+function clone(tok) {
+  var copy = {};
+  Object.keys(tok).forEach(function (key) {
+    copy[key] = tok[key];
+  });
+  return copy;
+}
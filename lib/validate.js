@@ -0,0 +1,157 @@
+'use strict';
+
+var schema = require('./schema');
+
+module.exports = validate;
+
+/**
+ * Check `ast` against the node schema in `lib/schema.js`, returning a list of
+ * problems.  Each problem has the `path` to the bad value (such as
+ * `nodes[0].block.nodes[2].val`), a `message` giving the reason, and the
+ * `line` and `column` of the closest node that has a position.
+ *
+ * Fields that are not in the schema are allowed, so that plugins can annotate
+ * nodes.  Plugins that create new node types can describe them in
+ * `options.nodes`, in the same format as the schema.
+ *
+ * @param {Object} ast
+ * @param {Object} options
+ * @return {Array}
+ * @api public
+ */
+
+function validate(ast, options) {
+  var nodes = schema.nodes;
+  if (options && options.nodes) {
+    nodes = {};
+    Object.keys(schema.nodes).forEach(function (type) {
+      nodes[type] = schema.nodes[type];
+    });
+    Object.keys(options.nodes).forEach(function (type) {
+      var fields = {};
+      Object.keys(schema.common).forEach(function (key) {
+        fields[key] = schema.common[key];
+      });
+      Object.keys(options.nodes[type]).forEach(function (key) {
+        fields[key] = options.nodes[type][key];
+      });
+      nodes[type] = fields;
+    });
+  }
+  var validator = new Validator(nodes);
+  validator.check(ast, 'Node', '', null);
+  return validator.problems;
+}
+
+function Validator(nodes) {
+  this.nodes = nodes;
+  this.problems = [];
+}
+
+Validator.prototype = {
+  constructor: Validator,
+
+  report: function (path, message, position) {
+    this.problems.push({
+      path: path,
+      message: message,
+      line: position ? position.line : undefined,
+      column: position ? position.column : undefined
+    });
+  },
+
+  /**
+   * Check `value` against the type expression `type`, picking the first
+   * alternative that it could be and reporting any problems inside it.
+   */
+
+  check: function (value, type, path, position) {
+    var alternatives = type.split('|');
+    for (var i = 0; i < alternatives.length; i++) {
+      if (this.matches(value, alternatives[i])) {
+        this.checkDeep(value, alternatives[i], path, position);
+        return;
+      }
+    }
+    this.report(path, 'expected ' + alternatives.join(' or ') + ' but got ' + describe(value), position);
+  },
+
+  matches: function (value, type) {
+    if (/\[\]$/.test(type)) return Array.isArray(value);
+    if (/^'.*'$/.test(type)) return value === type.slice(1, -1);
+    switch (type) {
+      case 'string':
+      case 'number':
+      case 'boolean':
+        return typeof value === type;
+      case 'null':
+        return value === null;
+      case 'Node':
+        return isObject(value) && typeof value.type === 'string';
+    }
+    if (type in this.nodes) return isObject(value) && value.type === type;
+    if (typeof schema.values[type] === 'string') {
+      var self = this;
+      return schema.values[type].split('|').some(function (alternative) {
+        return self.matches(value, alternative);
+      });
+    }
+    if (type in schema.values) {
+      var fields = schema.values[type];
+      return isObject(value) && (!fields.type || this.matches(value.type, fields.type));
+    }
+    throw new Error('Unknown type ' + JSON.stringify(type) + ' in AST schema');
+  },
+
+  checkDeep: function (value, type, path, position) {
+    if (/\[\]$/.test(type)) {
+      var itemType = type.slice(0, -2);
+      for (var i = 0; i < value.length; i++) {
+        this.check(value[i], itemType, path + '[' + i + ']', position);
+      }
+    } else if (type === 'Node') {
+      if (!(value.type in this.nodes)) {
+        this.report(path, 'unknown node type ' + JSON.stringify(value.type), position);
+        return;
+      }
+      this.checkFields(value, this.nodes[value.type], path, position);
+    } else if (type in this.nodes) {
+      this.checkFields(value, this.nodes[type], path, position);
+    } else if (typeof schema.values[type] === 'string') {
+      this.check(value, schema.values[type], path, position);
+    } else if (type in schema.values) {
+      this.checkFields(value, schema.values[type], path, position);
+    }
+  },
+
+  checkFields: function (value, fields, path, position) {
+    if (typeof value.line === 'number') position = value;
+    var prefix = path ? path + '.' : '';
+    for (var key in fields) {
+      var type = fields[key];
+      var optional = type.charAt(0) === '?';
+      if (optional) type = type.slice(1);
+      if (value[key] === undefined) {
+        if (!optional) this.report(prefix + key, 'missing field ' + JSON.stringify(key), position);
+      } else {
+        this.check(value[key], type, prefix + key, position);
+      }
+    }
+    if (typeof value.line === 'number' && typeof value.endLine === 'number' &&
+        (value.endLine < value.line ||
+         (value.endLine === value.line && value.endColumn < value.column))) {
+      this.report(path, 'ends before it starts', position);
+    }
+  }
+};
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (isObject(value) && typeof value.type === 'string') return 'a ' + value.type + ' node';
+  return typeof value;
+}
@@ -0,0 +1,22 @@
+'use strict';
+
+// Elements that cannot have content in HTML, the same list that pug-code-gen
+// renders without a closing tag.
+module.exports = [
+    'area'
+  , 'base'
+  , 'br'
+  , 'col'
+  , 'embed'
+  , 'hr'
+  , 'img'
+  , 'input'
+  , 'keygen'
+  , 'link'
+  , 'menuitem'
+  , 'meta'
+  , 'param'
+  , 'source'
+  , 'track'
+  , 'wbr'
+];
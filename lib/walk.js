@@ -0,0 +1,205 @@
+'use strict';
+
+var schema = require('./schema');
+
+exports.walk = walk;
+exports.transform = transform;
+
+/**
+ * The fields of each node type that hold other nodes, in the order they are
+ * visited, taken from the schema.  Trivia are not visited.
+ */
+
+var CHILDREN = {};
+Object.keys(schema.nodes).forEach(function (type) {
+  var fields = schema.nodes[type];
+  CHILDREN[type] = Object.keys(fields).filter(function (key) {
+    return !(key in schema.common) && holdsNodes(fields[key]);
+  });
+});
+
+function holdsNodes(type) {
+  return type.replace(/^\?/, '').split('|').some(function (alternative) {
+    alternative = alternative.replace(/\[\]$/, '');
+    return alternative === 'Node' || alternative in schema.nodes;
+  });
+}
+
+/**
+ * Walk `ast` depth first, calling the visitor for every node.
+ *
+ * The visitor is an object with optional `enter` and `exit` functions that
+ * are called for every node, and functions keyed by node type that are called
+ * for nodes of that type.  A node type may also be given `{enter, exit}`;
+ * a plain function is called on enter.
+ *
+ * Each function is called with the node and a context holding its `parent`,
+ * the `key` of the parent field it is in, its `index` in that field if it is
+ * an array, and the `path` of keys and indices from the root.  The context
+ * also has:
+ *
+ *  - `replace(node)` to put another node in its place, or an array of nodes
+ *    if it is in an array such as `Block#nodes`
+ *  - `remove()` to take it out of its parent
+ *  - `skip()` to not walk its children
+ *
+ * Nodes that are put in place by `replace` are not walked.  Node types that
+ * are not in the schema, such as those added by plugins, have every field
+ * that holds nodes walked.  `ast` is changed in place and the root is
+ * returned, which is different from `ast` if the root was replaced.
+ *
+ * @param {Object} ast
+ * @param {Object} visitor
+ * @return {Object}
+ * @api public
+ */
+
+function walk(ast, visitor) {
+  var holder = {root: ast};
+  new Walker(visitor).visit(holder, 'root', null, []);
+  return holder.root;
+}
+
+/**
+ * Like `walk`, but a visitor function that returns a value other than
+ * `undefined` replaces the node with it, or removes the node if it returns
+ * `null`.
+ *
+ * @param {Object} ast
+ * @param {Object} visitor
+ * @return {Object}
+ * @api public
+ */
+
+function transform(ast, visitor) {
+  function wrap(fn) {
+    if (typeof fn !== 'function') return fn;
+    return function (node, context) {
+      var result = fn.call(this, node, context);
+      if (result === null) context.remove();
+      else if (result !== undefined && result !== node) context.replace(result);
+    };
+  }
+  var wrapped = {};
+  Object.keys(visitor).forEach(function (key) {
+    var value = visitor[key];
+    wrapped[key] = value && typeof value === 'object'
+      ? {enter: wrap(value.enter), exit: wrap(value.exit)}
+      : wrap(value);
+  });
+  return walk(ast, wrapped);
+}
+
+function Walker(visitor) {
+  this.visitor = visitor || {};
+}
+
+Walker.prototype = {
+  constructor: Walker,
+
+  /**
+   * Visit the node at `holder[key]`, or `holder[key][index]`, returning the
+   * number of nodes in its place afterwards.
+   */
+
+  visit: function (holder, key, index, path) {
+    var node = index === null ? holder[key] : holder[key][index];
+    var root = path.length === 0;
+    var state = {count: 1, done: false, skip: false};
+    var context = {
+      parent: root ? null : holder,
+      key: root ? null : key,
+      index: index,
+      path: path,
+      replace: function (replacement) {
+        if (state.done) throw new Error('The node has already been replaced or removed');
+        if (Array.isArray(replacement)) {
+          if (index === null) {
+            throw new Error('Only nodes in an array can be replaced with an array of nodes');
+          }
+          holder[key].splice.apply(holder[key], [index, 1].concat(replacement));
+          state.count = replacement.length;
+        } else if (index === null) {
+          holder[key] = replacement;
+        } else {
+          holder[key][index] = replacement;
+        }
+        state.done = true;
+      },
+      remove: function () {
+        if (state.done) throw new Error('The node has already been replaced or removed');
+        if (root) throw new Error('The root node cannot be removed');
+        if (index !== null) {
+          holder[key].splice(index, 1);
+          state.count = 0;
+        } else {
+          var type = schema.nodes[holder.type] && schema.nodes[holder.type][key];
+          if (type && /^\?/.test(type)) {
+            delete holder[key];
+          } else if (!type || type.split('|').indexOf('null') !== -1) {
+            holder[key] = null;
+          } else {
+            throw new Error('Cannot remove the ' + JSON.stringify(key) + ' of a ' + holder.type + ' node');
+          }
+        }
+        state.done = true;
+      },
+      skip: function () {
+        state.skip = true;
+      }
+    };
+
+    if (this.call('enter', node, context, state)) return state.count;
+    if (!state.skip) {
+      var keys = CHILDREN[node.type] || Object.keys(node).filter(function (key) {
+        if (key in schema.common) return false;
+        return isNode(node[key]) || (Array.isArray(node[key]) && node[key].some(isNode));
+      });
+      for (var i = 0; i < keys.length; i++) {
+        this.visitField(node, keys[i], path.concat([keys[i]]));
+      }
+    }
+    this.call('exit', node, context, state);
+    return state.count;
+  },
+
+  visitField: function (node, key, path) {
+    var value = node[key];
+    if (Array.isArray(value)) {
+      for (var i = 0; i < value.length;) {
+        if (!isNode(value[i])) {
+          i++;
+          continue;
+        }
+        i += this.visit(node, key, i, path.concat([i]));
+      }
+    } else if (isNode(value)) {
+      this.visit(node, key, null, path);
+    }
+  },
+
+  /**
+   * Call the generic and node type visitors for `phase`, stopping once the
+   * node has been replaced or removed.  Returns true if it was.
+   */
+
+  call: function (phase, node, context, state) {
+    var typeVisitor = this.visitor[node.type];
+    if (typeVisitor && typeof typeVisitor === 'object') {
+      typeVisitor = typeVisitor[phase];
+    } else if (phase !== 'enter') {
+      typeVisitor = null;
+    }
+    var fns = phase === 'enter'
+      ? [this.visitor.enter, typeVisitor]
+      : [typeVisitor, this.visitor.exit];
+    for (var i = 0; i < fns.length && !state.done; i++) {
+      if (typeof fns[i] === 'function') fns[i].call(this.visitor, node, context);
+    }
+    return state.done;
+  }
+};
+
+function isNode(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value.type === 'string';
+}
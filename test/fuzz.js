@@ -0,0 +1,155 @@
+'use strict';
+
+// Mutates the token streams in `test/cases` and checks that the parser either
+// succeeds or throws a pug error with a code and a position.
+//
+//   node test/fuzz [iterations] [seed]
+
+var fs = require('fs');
+var assert = require('assert');
+var parse = require('../');
+
+var casesDir = __dirname + '/cases';
+
+function parseNewlineJson(str) {
+  return str.split('\n').filter(Boolean).map(JSON.parse);
+}
+
+var corpus = fs.readdirSync(casesDir).filter(function (name) {
+  return /\.tokens\.json$/.test(name);
+}).sort().map(function (name) {
+  return {name: name, tokens: parseNewlineJson(fs.readFileSync(casesDir + '/' + name, 'utf8'))};
+});
+
+var types = [];
+var fields = [];
+corpus.forEach(function (input) {
+  input.tokens.forEach(function (tok) {
+    if (types.indexOf(tok.type) === -1) types.push(tok.type);
+    Object.keys(tok).forEach(function (key) {
+      if (fields.indexOf(key) === -1) fields.push(key);
+    });
+  });
+});
+
+var ODD_VALUES = [undefined, null, '', ' ', 0, -1, true, false, {}, [], 'x', '\n'];
+
+// mulberry32, so that a failure can be reproduced from its seed
+function random(seed) {
+  return function () {
+    seed = (seed + 0x6D2B79F5) | 0;
+    var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(rand, list) {
+  return list[Math.floor(rand() * list.length)];
+}
+
+function clone(tok) {
+  var copy = {};
+  Object.keys(tok).forEach(function (key) {
+    copy[key] = tok[key];
+  });
+  return copy;
+}
+
+var MUTATIONS = [
+  function remove(rand, tokens) {
+    tokens.splice(Math.floor(rand() * tokens.length), 1);
+  },
+  function duplicate(rand, tokens) {
+    var i = Math.floor(rand() * tokens.length);
+    tokens.splice(i, 0, clone(tokens[i]));
+  },
+  function swap(rand, tokens) {
+    var i = Math.floor(rand() * (tokens.length - 1));
+    var tok = tokens[i];
+    tokens[i] = tokens[i + 1];
+    tokens[i + 1] = tok;
+  },
+  function changeType(rand, tokens) {
+    var i = Math.floor(rand() * tokens.length);
+    tokens[i] = clone(tokens[i]);
+    tokens[i].type = pick(rand, types);
+  },
+  function changeField(rand, tokens) {
+    var i = Math.floor(rand() * tokens.length);
+    var tok = tokens[i] = clone(tokens[i]);
+    var keys = Object.keys(tok).filter(function (key) {
+      return key !== 'type';
+    });
+    tok[keys.length && rand() < 0.8 ? pick(rand, keys) : pick(rand, fields)] = pick(rand, ODD_VALUES);
+  },
+  function deleteField(rand, tokens) {
+    var i = Math.floor(rand() * tokens.length);
+    var tok = tokens[i] = clone(tokens[i]);
+    delete tok[pick(rand, Object.keys(tok))];
+  },
+  function insert(rand, tokens) {
+    var source = pick(rand, corpus).tokens;
+    tokens.splice(Math.floor(rand() * tokens.length), 0, clone(pick(rand, source)));
+  },
+  function truncate(rand, tokens) {
+    tokens.length = Math.floor(rand() * tokens.length);
+  }
+];
+
+var OPTIONS = [
+  {},
+  {recover: true},
+  {cst: true},
+  {checkJs: true, checkMixins: true, checkInheritance: true, contentModel: true, onWarning: function () {}},
+  {copy: false, validate: true, attributeValues: true},
+  {strictTokens: true},
+  {strictTokens: true, recover: true, normalizeTokens: true},
+  {normalizeText: true, cst: true, validate: true}
+];
+
+function isPugError(err) {
+  return !!err && /^PUG:/.test(err.code) && typeof err.line === 'number';
+}
+
+/**
+ * Parse `iterations` mutated token streams starting from `seed`, throwing
+ * an assertion error that names the seed for the first one that crashes.
+ */
+
+function fuzz(iterations, seed) {
+  for (var n = 0; n < iterations; n++) {
+    var rand = random(seed + n);
+    var input = pick(rand, corpus);
+    var tokens = input.tokens.slice();
+    var count = 1 + Math.floor(rand() * 3);
+    for (var m = 0; m < count && tokens.length > 1; m++) {
+      pick(rand, MUTATIONS)(rand, tokens);
+    }
+    var options = {filename: input.name, onWarning: function () {}};
+    var extra = pick(rand, OPTIONS);
+    Object.keys(extra).forEach(function (key) {
+      options[key] = extra[key];
+    });
+    var errors;
+    try {
+      var result = parse(tokens, options);
+      errors = options.recover ? result.errors : [];
+    } catch (err) {
+      errors = [err];
+    }
+    errors.forEach(function (err) {
+      assert(isPugError(err), 'Seed ' + (seed + n) + ' (' + input.name + ') threw ' + (err && err.stack));
+    });
+  }
+}
+
+module.exports = fuzz;
+
+if (require.main === module) {
+  var iterations = +process.argv[2] || 10000;
+  var seed = process.argv[3] === undefined ? Math.floor(Math.random() * 1e9) : +process.argv[3];
+  console.log('fuzzing ' + iterations + ' token streams from seed ' + seed);
+  fuzz(iterations, seed);
+  console.log('fuzzing passed');
+}
@@ -3,6 +3,7 @@
 var fs = require('fs');
 var assert = require('assert');
 var getRepo = require('get-repo');
+var lex = require('pug-lexer');
 var parse = require('../');
 
 var testCases = fs.readdirSync(__dirname + '/cases').filter(function (name) {
@@ -20,12 +21,1134 @@ function write(path, body) {
   return fs.writeFileSync(__dirname + '/cases/' + path, body);
 }
 
+// printed templates are parsed again and compared without source positions,
+// and without the empty Text nodes that pug-lexer adds or leaves out in a few
+// places where the lexer that produced the test cases did not
+function withoutPositions(ast) {
+  return JSON.parse(JSON.stringify(ast, function (key, value) {
+    if (['line', 'column', 'endLine', 'endColumn', 'filename'].indexOf(key) !== -1) return undefined;
+    if (!Array.isArray(value)) return value;
+    return value.filter(function (node) {
+      return !(node && node.type === 'Text' && node.val === '');
+    });
+  }));
+}
+function reprint(src) {
+  return parse.print(parse(lex(src)));
+}
+
 testCases.forEach(function (filename) {
   console.dir(filename);
   var expectedAst = JSON.parse(read(filename.replace(/\.tokens\.json$/, '.expected.json')));
   var actualAst = parse(parseNewlineJson(read(filename)), {filename: filename});
   write(filename.replace(/\.tokens\.json$/, '.actual.json'), JSON.stringify(actualAst, null, '  '));
   assert.deepEqual(actualAst, expectedAst);
+  var iterator = parseNewlineJson(read(filename))[Symbol.iterator]();
+  assert.deepEqual(parse(iterator, {filename: filename}), expectedAst);
+  assert.deepEqual(parse(parseNewlineJson(read(filename)), {filename: filename, copy: false}), expectedAst);
+  var printedAst = parse(lex(parse.print(actualAst), {filename: filename}), {filename: filename});
+  assert.deepEqual(withoutPositions(printedAst), withoutPositions(actualAst));
+  assert.deepEqual(parse.validate(actualAst), []);
+});
+
+console.dir('print');
+assert.equal(parse.print(parse(parseNewlineJson(read('case.tokens.json')))), [
+  'html',
+  '  body',
+  '    - var friends = 1',
+  '    case friends',
+  '      when 0',
+  '        p you have no friends',
+  '      when 1',
+  '        p you have a friend',
+  '      default',
+  '        p you have #{friends} friends',
+  '    - var friends = 0',
+  '    case friends',
+  '      when 0',
+  '      when 1',
+  '        p you have very few friends',
+  '      default',
+  '        p you have #{friends} friends',
+  ''
+].join('\n'));
+assert.equal(reprint('p\n  | hello #{name}\n  |\n  | world\n| top\n'), 'p\n  | hello #{name}\n  |\n  | world\n| top\n');
+assert.equal(reprint('p hi #[em there] \\#{not}\n'), 'p hi #[em there] \\#{not}\n');
+[
+  'p #[+m(1)] tail\n',
+  'p a #[+m.c(class=x)] b #[+m: b x]\n',
+  'p #[= x]\n',
+  'p #[- var x]\n',
+  'p a #[!= x] b\n',
+  '| #[+m]\n',
+  'p.\n  a #[+m] b\n'
+].forEach(function (src) {
+  assert.equal(reprint(src), src);
 });
+assert.equal(reprint('pre.\n  first\n    indented\n\n  last\n'), 'pre.\n  first\n    indented\n\n  last\n');
+assert.equal(reprint('pre\n  | one\n  |   two\n'), 'pre\n  | one\n  |   two\n');
+assert.equal(
+  reprint("a.btn#main(href='/' data-x=1 checked class=['a'] title!=raw)&attributes(more) link\n"),
+  "a.btn#main(href='/', data-x=1, checked, class=['a'], title!=raw)&attributes(more) link\n"
+);
+assert.equal(reprint("input(type='text', 'aria-label'='x')/\n"), "input(type='text', aria-label='x')/\n");
+assert.equal(reprint("div#x(class='not a shorthand')\n"), "div#x(class='not a shorthand')\n");
+
+console.dir('validate');
+var invalidAst = parse(parseNewlineJson(read('case.tokens.json')));
+invalidAst.nodes[0].block.nodes[0].attrs.push({name: 'title', mustEscape: true, line: 1, column: 5, endLine: 1, endColumn: 10});
+invalidAst.nodes[0].block.nodes.push({type: 'Custom', line: 9, column: 1, endLine: 9, endColumn: 4});
+assert.deepEqual(parse.validate(invalidAst).map(function (problem) {
+  return problem.path + ': ' + problem.message;
+}), [
+  'nodes[0].block.nodes[0].attrs[0].val: missing field "val"',
+  'nodes[0].block.nodes[1]: unknown node type "Custom"'
+]);
+assert.deepEqual(parse.validate(invalidAst.nodes[0].block.nodes[1], {nodes: {Custom: {}}}), []);
+assert.throws(function () {
+  parse([
+    {type: 'custom', line: 1, col: 1},
+    {type: 'eos', line: 1, col: 7}
+  ], {validate: true, plugins: [{
+    expressionTokens: {
+      custom: function (parser) {
+        parser.advance();
+        return {type: 'Text', line: 1};
+      }
+    }
+  }]});
+}, function (err) {
+  return err.code === 'PUG:INVALID_AST';
+});
+
+console.dir('plugins');
+function customPlugin(name, val, priority) {
+  return {
+    name: name,
+    priority: priority,
+    expressionTokens: {
+      custom: function (parser) {
+        if (parser.peek().val !== val) return;
+        var tok = parser.advance();
+        return {type: 'Text', val: name, line: tok.line, column: tok.col, endLine: tok.line, endColumn: tok.col + 1};
+      }
+    }
+  };
+}
+var customTokens = [
+  {type: 'custom', line: 1, col: 1, val: 'a'},
+  {type: 'newline', line: 2, col: 1},
+  {type: 'custom', line: 2, col: 1, val: 'b'},
+  {type: 'eos', line: 2, col: 2}
+];
+assert.deepEqual(parse(customTokens.slice(), {plugins: [
+  customPlugin('first', 'a'),
+  customPlugin('second', 'b'),
+  customPlugin('override', 'b', 1)
+]}).nodes.map(function (node) {
+  return node.val;
+}), ['first', 'override']);
+var annotate = {
+  expressionTokens: {
+    custom: function (parser) {
+      return parser.peek().val === 'a';
+    }
+  }
+};
+assert.throws(function () {
+  parse(customTokens.slice(), {plugins: [annotate, annotate]});
+}, /both claimed the token for context "expressionTokens", token type "custom"/);
+
+var builtNodes = [];
+var hookedAst = parse([
+  {type: 'tag', line: 1, col: 1, val: 'input'},
+  {type: 'start-attributes', line: 1, col: 6},
+  {type: 'attribute', line: 1, col: 7, name: 'type', val: "'text'", mustEscape: true},
+  {type: 'spread', line: 1, col: 19, val: 'props'},
+  {type: 'end-attributes', line: 1, col: 27},
+  {type: 'eos', line: 1, col: 28}
+], {plugins: [{
+  attributeTokens: {
+    spread: function (parser, attrs) {
+      var tok = parser.advance();
+      attrs.push({name: '...', val: tok.val, mustEscape: false, line: tok.line, column: tok.col, endLine: tok.line, endColumn: tok.col + 8});
+      return true;
+    }
+  },
+  onNode: function (node, parser) {
+    assert(parser instanceof parse.Parser);
+    builtNodes.push(node.type);
+    node.annotated = true;
+  }
+}]});
+assert.deepEqual(hookedAst.nodes[0].attrs.map(function (attr) {
+  return attr.name;
+}), ['type', '...']);
+assert.deepEqual(builtNodes, ['Block', 'Tag', 'Block']);
+assert(hookedAst.annotated && hookedAst.nodes[0].annotated);
+
+var eachTokens = [
+  {type: 'each', line: 1, col: 1, val: 'item', key: null, code: 'items'},
+  {type: 'indent', line: 2, col: 1, val: 2},
+  {type: 'tag', line: 2, col: 3, val: 'li'},
+  {type: 'outdent', line: 3, col: 1},
+  {type: 'sorted', line: 3, col: 1, val: 'name'},
+  {type: 'newline', line: 4, col: 1},
+  {type: 'sorted', line: 4, col: 1, val: 'date'},
+  {type: 'newline', line: 5, col: 1},
+  {type: 'else', line: 5, col: 1},
+  {type: 'indent', line: 6, col: 1, val: 2},
+  {type: 'tag', line: 6, col: 3, val: 'p'},
+  {type: 'outdent', line: 7, col: 1},
+  {type: 'eos', line: 7, col: 1}
+];
+var sortedPlugin = {
+  eachTokens: {
+    sorted: function (parser, node) {
+      node.sortBy = (node.sortBy || []).concat(parser.advance().val);
+      if (parser.peek().type === 'newline') parser.advance();
+      return true;
+    }
+  }
+};
+var eachAst = parse(eachTokens.slice(), {plugins: [sortedPlugin]});
+assert.deepEqual(eachAst.nodes[0].sortBy, ['name', 'date']);
+assert.equal(eachAst.nodes[0].alternate.nodes[0].name, 'p');
+
+console.dir('fuzz');
+require('./fuzz')(2000, 1);
+assert.throws(function () {
+  parse([{type: 'tag', line: 1, col: 1, val: 'p'}]);
+}, function (err) {
+  return err.code === 'PUG:UNEXPECTED_EOS' && err.line === 1 && err.column === 2;
+});
+assert.throws(function () {
+  parse([{type: 'code', line: 1, col: 1, val: 'x', buffer: true}, {type: 'eos', line: 1, col: 4}]);
+}, function (err) {
+  return err.code === 'PUG:INVALID_TOKEN' && err.line === 1;
+});
+assert.throws(function () {
+  parse([{type: 'block', line: 2, col: 1, mode: 'replace'}, {type: 'eos', line: 2, col: 6}]);
+}, function (err) {
+  return err.code === 'PUG:INVALID_TOKEN' && /"block" tokens need a string "val"/.test(err.message);
+});
+assert.throws(function () {
+  parse([{type: 'tag', line: 1, col: 1, val: 'p'}, {type: 'eos', col: 2}]);
+}, function (err) {
+  return err.code === 'PUG:INVALID_TOKEN' && err.line === 1;
+});
+
+console.dir('tokens');
+testCases.forEach(function (filename) {
+  parse(parseNewlineJson(read(filename)), {filename: filename, strictTokens: true});
+});
+assert.deepEqual(parse.validateTokens([
+  {type: 'tag', line: 1, col: 1, val: 'p'},
+  {type: 'start-attributes', line: 1, col: 2},
+  {type: 'attribute', line: 1, col: 3, name: 'title', val: "'x'"},
+  {type: 'indent', line: 2, col: 1, val: 2},
+  {type: 'end-attributes', line: 2, col: 3},
+  {type: 'widget', line: 2, col: 3},
+  {type: 'eos', line: 2, col: 4}
+]).map(function (problem) {
+  return problem.line + ':' + problem.column + ' ' + problem.message;
+}), [
+  '1:3 Token 2 ("attribute") is missing "mustEscape"',
+  '2:3 Token 4 ("end-attributes") does not close the "indent" at token 3',
+  '2:3 Token 5 ("widget") has an unknown type',
+  '2:4 Token 1 ("start-attributes") is never closed by "end-attributes"',
+  '2:4 Token 3 ("indent") is never closed by "outdent"'
+]);
+var customTokenPlugin = {expressionTokens: {custom: function (parser) {
+  var tok = parser.advance();
+  return {type: 'Text', val: 'custom', line: tok.line, column: tok.col};
+}}};
+parse([{type: 'custom', line: 1, col: 1}, {type: 'eos', line: 1, col: 7}], {strictTokens: true, plugins: [customTokenPlugin]});
+assert.throws(function () {
+  parse([{type: 'tag', line: 1, col: 1, val: 'p'}, {type: 'outdent', line: 2, col: 1}, {type: 'eos', line: 2, col: 1}], {strictTokens: true});
+}, function (err) {
+  return err.code === 'PUG:INVALID_TOKEN' && err.line === 2 && /Token 1 \("outdent"\) does not close anything/.test(err.message);
+});
+assert.deepEqual(parse([{type: 'tag', line: 1, col: 1}, {type: 'eos', line: 1, col: 2}], {strictTokens: true, recover: true}).errors.map(function (err) {
+  return err.code;
+}), ['PUG:INVALID_TOKEN']);
+
+var modernTokens = [
+  {type: 'tag', line: 1, col: 1, val: 'img'},
+  {type: 'start-attributes', line: 1, col: 4},
+  {type: 'attribute', line: 1, col: 4, name: 'src', val: 'url', mustEscape: false},
+  {type: 'end-attributes', line: 1, col: 4},
+  {type: 'slash', line: 1, col: 4},
+  {type: 'newline', line: 2, col: 1},
+  {type: 'code', line: 2, col: 1, val: 'x', mustEscape: true, buffer: true},
+  {type: 'eos', line: 2, col: 4}
+];
+var legacyTokens = [
+  {type: 'tag', line: 1, col: 1, val: 'img'},
+  {type: 'attrs', line: 1, col: 4, attrs: [{name: 'src', val: 'url', escaped: false}], selfClosing: true},
+  {type: 'newline', line: 2, col: 1},
+  {type: 'code', line: 2, col: 1, val: 'x', escape: true, buffer: true},
+  {type: 'eos', line: 2, col: 4}
+];
+var locTokens = modernTokens.map(function (tok) {
+  var copy = {type: tok.type, loc: {start: {line: tok.line, column: tok.col}}};
+  Object.keys(tok).forEach(function (key) {
+    if (key !== 'line' && key !== 'col') copy[key] = tok[key];
+  });
+  return copy;
+});
+var modernAst = parse(modernTokens.slice());
+assert.deepEqual(parse.normalizeTokens(legacyTokens).map(function (tok) {
+  return tok.type + (tok.mustEscape === undefined ? '' : ' ' + tok.mustEscape);
+}), ['tag', 'start-attributes', 'attribute false', 'end-attributes', 'slash', 'newline', 'code true', 'eos']);
+assert.deepEqual(parse(legacyTokens.slice(), {normalizeTokens: true, strictTokens: true}), modernAst);
+assert.deepEqual(parse(locTokens[Symbol.iterator](), {normalizeTokens: true}), modernAst);
+assert.throws(function () {
+  parse(legacyTokens.slice());
+}, /Unexpected token `attrs`/);
+
+console.dir('copy');
+var sharedBlock = {type: 'Block', nodes: [], line: 1, column: 1, endLine: 1, endColumn: 1};
+var plainPlugin = {
+  expressionTokens: {
+    custom: function (parser) {
+      var tok = parser.advance();
+      return {
+        type: 'Custom', line: tok.line, column: tok.col, endLine: tok.line, endColumn: tok.col + 6,
+        left: sharedBlock, right: sharedBlock, skipped: undefined, fn: function () {},
+        when: new Date(0), ratio: NaN, list: [undefined, new String('x')]
+      };
+    }
+  }
+};
+var plainTokens = [{type: 'custom', line: 1, col: 1}, {type: 'eos', line: 1, col: 7}];
+var plainAst = parse(plainTokens.slice(), {copy: false, plugins: [plainPlugin]});
+assert.deepEqual(plainAst, parse(plainTokens.slice(), {plugins: [plainPlugin]}));
+assert(plainAst.nodes[0].left !== plainAst.nodes[0].right);
+assert(!('skipped' in plainAst.nodes[0]) && !('fn' in plainAst.nodes[0]));
+assert.deepEqual(plainAst.nodes[0].list, [null, 'x']);
+assert.throws(function () {
+  parse(plainTokens.slice(), {copy: false, plugins: [{
+    expressionTokens: {
+      custom: function (parser) {
+        var node = {type: 'Custom', line: 1, column: 1, data: {}};
+        node.data.self = node.data;
+        parser.advance();
+        return node;
+      }
+    }
+  }]});
+}, /circular/);
+assert.throws(function () {
+  parse([
+    {type: 'tag', line: 1, col: 1, val: 'a'},
+    {type: 'start-attributes', line: 1, col: 2},
+    {type: 'spread', line: 1, col: 3},
+    {type: 'attribute', line: 1, col: 6, name: 'href', val: "'#'", mustEscape: true},
+    {type: 'end-attributes', line: 1, col: 14},
+    {type: 'eos', line: 1, col: 15}
+  ], {plugins: [{
+    attributeTokens: {
+      spread: function (parser, attrs, attributeNames) {
+        parser.advance();
+        attributeNames.push('href');
+        return true;
+      }
+    }
+  }]});
+}, function (err) {
+  return err.code === 'PUG:DUPLICATE_ATTRIBUTE' && err.column === 6;
+});
+
+console.dir('inline tags');
+function inlineTags(names, options) {
+  var tokens = [];
+  names.forEach(function (name, i) {
+    if (i) tokens.push({type: 'newline', line: i + 1, col: 1});
+    tokens.push({type: 'tag', line: i + 1, col: 1, val: name});
+  });
+  tokens.push({type: 'eos', line: names.length, col: 20});
+  return parse(tokens, options).nodes.filter(function (node) {
+    return node.isInline;
+  }).map(function (node) {
+    return node.name;
+  });
+}
+var tagNames = ['mark', 'div', 'font', 'my-widget', 'font-face', 'Not-Custom'];
+assert.deepEqual(inlineTags(tagNames), ['mark', 'my-widget']);
+assert.deepEqual(inlineTags(tagNames, {inlineTags: ['div']}), ['div', 'my-widget']);
+assert.deepEqual(inlineTags(tagNames, {inlineTags: {add: ['font'], remove: ['mark', 'my-widget']}}), ['font']);
+assert.deepEqual(inlineTags(tagNames, {inlineCustomElements: false}), ['mark']);
+
+console.dir('content model');
+function nest(lines) {
+  // each line is [indent level, token type, value]
+  var tokens = [];
+  var level = 0;
+  lines.forEach(function (line, i) {
+    var lineno = i + 1;
+    if (i) {
+      if (line[0] > level) tokens.push({type: 'indent', line: lineno, col: 1, val: line[0] * 2});
+      else if (line[0] === level) tokens.push({type: 'newline', line: lineno, col: 1});
+      for (; level > line[0]; level--) tokens.push({type: 'outdent', line: lineno, col: 1});
+    }
+    level = line[0];
+    tokens.push({type: line[1], line: lineno, col: line[0] * 2 + 1, val: line[2], args: null});
+  });
+  for (; level > 0; level--) tokens.push({type: 'outdent', line: lines.length + 1, col: 1});
+  tokens.push({type: 'eos', line: lines.length + 1, col: 1});
+  return tokens;
+}
+var nestingWarnings = [];
+parse(nest([
+  [0, 'tag', 'p'],
+  [1, 'tag', 'span'],
+  [2, 'tag', 'div'],
+  [0, 'tag', 'table'],
+  [1, 'tag', 'tr'],
+  [2, 'tag', 'td'],
+  [0, 'tag', 'div'],
+  [1, 'tag', 'li'],
+  [1, 'call', 'item'],
+  [2, 'tag', 'li'],
+  [0, 'tag', 'a'],
+  [1, 'if', 'x'],
+  [2, 'tag', 'a'],
+  [0, 'tag', 'li']
+]), {filename: 'nesting.pug', contentModel: true, onWarning: function (warning) {
+  nestingWarnings.push(warning.code + ' ' + warning.line + ':' + warning.column + ' ' + warning.message);
+}});
+assert.deepEqual(nestingWarnings, [
+  'PUG:INVALID_NESTING 3:5 <div> cannot be inside <p>, it closes the paragraph',
+  'PUG:INVALID_NESTING 5:3 <tr> must be directly inside <thead>, <tbody> or <tfoot>, not <table>',
+  'PUG:INVALID_NESTING 8:3 <li> must be directly inside <ul>, <ol> or <menu>, not <div>',
+  'PUG:INVALID_NESTING 13:5 <a> cannot be inside <a>'
+]);
+assert.deepEqual(parse(nest([
+  [0, 'tag', 'div'],
+  [1, 'tag', 'constructor'],
+  [0, 'tag', 'toString'],
+  [1, 'tag', '__proto__'],
+  [2, 'tag', 'hasOwnProperty']
+]), {contentModel: true, recover: true}).warnings, []);
+
+console.dir('self closing');
+var imgWithText = [
+  {type: 'tag', line: 1, col: 1, val: 'img'},
+  {type: 'text', line: 1, col: 5, val: 'caption'},
+  {type: 'eos', line: 1, col: 12}
+];
+assert.throws(function () {
+  parse(imgWithText.slice());
+}, function (err) {
+  return err.code === 'PUG:SELF_CLOSING_CONTENT' && err.line === 1 && err.column === 5;
+});
+parse([{type: 'doctype', line: 1, col: 1, val: 'xml'}, {type: 'newline', line: 2, col: 1}].concat(imgWithText.map(function (tok) {
+  return {type: tok.type, line: 2, col: tok.col, val: tok.val};
+})));
+parse(imgWithText.slice(), {doctype: 'xml'});
+assert.throws(function () {
+  parse([
+    {type: 'tag', line: 1, col: 1, val: 'foo'},
+    {type: 'slash', line: 1, col: 4},
+    {type: 'indent', line: 2, col: 1, val: 2},
+    {type: 'tag', line: 2, col: 3, val: 'bar'},
+    {type: 'outdent', line: 3, col: 1},
+    {type: 'eos', line: 3, col: 1}
+  ], {doctype: 'xml'});
+}, function (err) {
+  return err.code === 'PUG:SELF_CLOSING_CONTENT' && err.line === 2 && err.column === 3;
+});
+
+console.dir('attribute values');
+function attributeTokens(attrs) {
+  var tokens = [{type: 'tag', line: 1, col: 1, val: 'div'}, {type: 'class', line: 1, col: 4, val: 'card'}];
+  tokens.push({type: 'start-attributes', line: 1, col: 9});
+  Object.keys(attrs).forEach(function (name) {
+    tokens.push({type: 'attribute', line: 1, col: 10, name: name, val: attrs[name], mustEscape: true});
+  });
+  tokens.push({type: 'end-attributes', line: 1, col: 20}, {type: 'eos', line: 1, col: 20});
+  return tokens;
+}
+function attributes(attrs) {
+  return parse(attributeTokens(attrs), {attributeValues: true}).nodes[0].attrs;
+}
+assert.deepEqual(Object.keys(parse(attributeTokens({checked: true})).nodes[0].attrs[1]), [
+  'name', 'val', 'mustEscape', 'line', 'column', 'endLine', 'endColumn'
+]);
+var describedAttrs = attributes({
+  title: '"Hello"',
+  width: '-10',
+  checked: true,
+  hidden: 'false',
+  label: '`plain`',
+  alt: '`${name}`',
+  href: 'url',
+  class: "['a b', 'c']",
+  style: "'color: red; margin : 0;'"
+});
+assert.deepEqual(describedAttrs.map(function (attr) {
+  return [attr.name, attr.val, attr.constant, attr.value, attr.isBoolean];
+}), [
+  ['class', "'card'", true, 'card', false],
+  ['title', '"Hello"', true, 'Hello', false],
+  ['width', '-10', true, -10, false],
+  ['checked', true, true, true, true],
+  ['hidden', 'false', true, false, true],
+  ['label', '`plain`', true, 'plain', false],
+  ['alt', '`${name}`', false, undefined, false],
+  ['href', 'url', false, undefined, false],
+  ['class', "['a b', 'c']", false, undefined, false],
+  ['style', "'color: red; margin : 0;'", true, 'color: red; margin : 0;', false]
+]);
+assert.deepEqual(describedAttrs[0].classes, ['card']);
+assert.deepEqual(describedAttrs[8].classes, ['a', 'b', 'c']);
+assert.deepEqual(describedAttrs[9].styles, {color: 'red', margin: '0'});
+assert.deepEqual(attributes({class: '{active: true, hidden: false}'})[1].classes, ['active']);
+assert.deepEqual(attributes({style: "{color: 'red', 'z-index': 2}"})[1].styles, {color: 'red', 'z-index': '2'});
+assert.equal(attributes({class: '{active: isActive}'})[1].classes, undefined);
+assert.equal(attributes({style: 'styles'})[1].styles, undefined);
+
+console.dir('normalize text');
+var textTokens = [
+  {type: 'tag', line: 1, col: 1, val: 'pre'},
+  {type: 'dot', line: 1, col: 4},
+  {type: 'start-pipeless-text', line: 1, col: 5},
+  {type: 'text', line: 2, col: 3, val: 'a'},
+  {type: 'newline', line: 3, col: 1},
+  {type: 'text', line: 3, col: 3, val: '  b'},
+  {type: 'end-pipeless-text', line: 3, col: 6},
+  {type: 'newline', line: 4, col: 1},
+  {type: 'text', line: 4, col: 3, val: 'x'},
+  {type: 'newline', line: 5, col: 1},
+  {type: 'text', line: 5, col: 3, val: 'y'},
+  {type: 'newline', line: 6, col: 1},
+  {type: 'tag', line: 6, col: 1, val: 'p'},
+  {type: 'text', line: 6, col: 3, val: 'hi '},
+  {type: 'interpolated-code', line: 6, col: 6, val: 'name', mustEscape: true, buffer: true},
+  {type: 'text', line: 6, col: 13, val: '!'},
+  {type: 'newline', line: 7, col: 1},
+  {type: 'text-html', line: 7, col: 1, val: '<br>'},
+  {type: 'eos', line: 7, col: 5}
+];
+var plainText = parse(textTokens.slice());
+assert.equal(plainText.nodes[0].block.nodes.length, 3);
+assert.equal(plainText.nodes[0].block.nodes[0].kind, undefined);
+var normalText = parse(textTokens.slice(), {normalizeText: true, validate: true});
+assert.deepEqual(normalText.nodes[0].block.nodes, [{
+  type: 'Text',
+  val: 'a\n  b',
+  line: 2,
+  column: 3,
+  endLine: 3,
+  endColumn: 6,
+  kind: 'block',
+  preserveWhitespace: true
+}]);
+assert.deepEqual(normalText.nodes[1].nodes.map(function (node) {
+  return [node.val, node.kind, node.preserveWhitespace];
+}), [['x\ny', 'piped', undefined]]);
+assert.deepEqual(normalText.nodes[2].block.nodes.map(function (node) {
+  return [node.type, node.val, node.kind];
+}), [['Text', 'hi ', 'inline'], ['Code', 'name', undefined], ['Text', '!', 'inline']]);
+assert.equal(normalText.nodes[3].kind, 'html');
+assert.equal(parse.print(normalText), 'pre.\n  a\n    b\n| x\n| y\np hi #{name}!\n<br>\n');
+assert.equal(parse.print(normalText), parse.print(plainText));
+
+console.dir('case');
+function caseTokens(branches) {
+  var tokens = [{type: 'case', line: 1, col: 1, val: 'x'}, {type: 'indent', line: 2, col: 1, val: 2}];
+  branches.forEach(function (branch, i) {
+    var line = i * 2 + 2;
+    if (i) tokens.push({type: 'newline', line: line, col: 1});
+    var tok = {type: branch === 'default' ? 'default' : 'when', line: line, col: 3};
+    if (branch !== 'default') tok.val = branch;
+    tokens.push(tok);
+    if (branch === '1') return;
+    tokens.push(
+      {type: 'indent', line: line + 1, col: 1, val: 4},
+      {type: 'text', line: line + 1, col: 5, val: 'branch ' + i},
+      {type: 'outdent', line: line + 2, col: 1}
+    );
+  });
+  tokens.push({type: 'outdent', line: branches.length * 2 + 2, col: 1}, {type: 'eos', line: branches.length * 2 + 2, col: 1});
+  return tokens;
+}
+var caseAst = parse(caseTokens(['1', '2', 'default']), {validate: true});
+assert.deepEqual(caseAst.nodes[0].block.nodes.map(function (branch) {
+  return [branch.expr, branch.fallthrough, !!branch.block];
+}), [['1', true, false], ['2', false, true], ['default', false, true]]);
+assert.throws(function () {
+  parse(caseTokens(['2', 'default', 'default']));
+}, function (err) {
+  return err.code === 'PUG:DUPLICATE_DEFAULT' && err.line === 6 && /line 4/.test(err.message);
+});
+var caseWarnings = [];
+assert.throws(function () {
+  parse(caseTokens(['default', '2']), {onWarning: function (warning) {
+    caseWarnings.push(warning);
+  }});
+}, function (err) {
+  return err.code === 'PUG:MISPLACED_DEFAULT' && err.line === 2;
+});
+assert.deepEqual(caseWarnings.map(function (warning) {
+  return [warning.code, warning.line];
+}), [['PUG:UNREACHABLE_WHEN', 4]]);
+var recoveredCase = parse(caseTokens(['default', '2', 'default']), {recover: true, onWarning: function () {}});
+assert.deepEqual(recoveredCase.errors.map(function (err) {
+  return err.code;
+}), ['PUG:DUPLICATE_DEFAULT', 'PUG:MISPLACED_DEFAULT']);
+assert.deepEqual(recoveredCase.warnings.map(function (warning) {
+  return warning.code;
+}), ['PUG:UNREACHABLE_WHEN']);
+assert.equal(recoveredCase.ast.nodes[0].block.nodes.length, 3);
+assert.throws(function () {
+  parse(caseTokens(['default', '2']), {warningsAsErrors: ['UNREACHABLE_WHEN']});
+}, function (err) {
+  return err.code === 'PUG:UNREACHABLE_WHEN' && err.line === 4;
+});
+
+console.dir('check js');
+var brokenIf = [
+  {type: 'if', line: 1, col: 1, val: 'a =='},
+  {type: 'indent', line: 2, col: 1, val: 2},
+  {type: 'tag', line: 2, col: 3, val: 'p'},
+  {type: 'outdent', line: 3, col: 1},
+  {type: 'eos', line: 3, col: 1}
+];
+parse(brokenIf.slice());
+assert.throws(function () {
+  parse(brokenIf.slice(), {checkJs: true, src: 'if a ==\n  p\n'});
+}, function (err) {
+  return err.code === 'PUG:SYNTAX_ERROR' && err.line === 1 && err.column === 8 &&
+    /Invalid JavaScript in if condition: Unexpected token/.test(err.message);
+});
+assert.throws(function () {
+  parse([
+    {type: 'call', line: 1, col: 1, val: 'list', args: "'a' 'b'"},
+    {type: 'eos', line: 1, col: 14}
+  ], {checkJs: true, src: "+list('a' 'b')\n"});
+}, function (err) {
+  return err.code === 'PUG:SYNTAX_ERROR' && err.line === 1 && err.column === 11;
+});
+testCases.forEach(function (filename) {
+  parse(parseNewlineJson(read(filename)), {filename: filename, checkJs: true});
+});
+
+console.dir('mixins');
+var mixinResult = parse(parseNewlineJson(read('mixins.tokens.json')), {filename: 'mixins.pug', recover: true, checkMixins: true, onWarning: function () {}});
+assert.deepEqual(Object.keys(mixinResult.mixins), ['comment', 'list', 'foobar']);
+assert.deepEqual(mixinResult.mixins.comment, {name: 'comment', params: ['title', 'str'], rest: null, line: 1, column: 1, filename: 'mixins.pug'});
+assert.deepEqual(mixinResult.warnings.map(function (warning) {
+  return warning.code + ' ' + warning.line;
+}), ['PUG:DUPLICATE_MIXIN 7']);
+assert.deepEqual(parse.mixins(parse(parseNewlineJson(read('mixins.rest-args.tokens.json')))).list.rest, 'items');
+var checkedMixins = parse(parseNewlineJson(read('mixins.tokens.json')), {filename: 'mixins.pug', checkMixins: true, onWarning: function () {}});
+assert.deepEqual(parse.mixins(checkedMixins), mixinResult.mixins);
+var branchMixins = parse(nest([
+  [0, 'if', 'a'],
+  [1, 'mixin', 'm'],
+  [2, 'tag', 'p'],
+  [0, 'else'],
+  [1, 'mixin', 'm'],
+  [2, 'tag', 'div'],
+  [0, 'case', 'b'],
+  [1, 'when', '1'],
+  [2, 'mixin', 'constructor'],
+  [3, 'tag', 'p'],
+  [1, 'when', '2'],
+  [2, 'mixin', 'constructor'],
+  [3, 'tag', 'p'],
+  [2, 'mixin', 'constructor'],
+  [3, 'tag', 'p']
+]), {recover: true, checkMixins: true, onWarning: function () {}});
+assert.deepEqual(branchMixins.errors, []);
+assert.deepEqual(Object.keys(branchMixins.mixins), ['m', 'constructor']);
+assert.equal(branchMixins.mixins.m.line, 2);
+assert.deepEqual(branchMixins.warnings.map(function (warning) {
+  return warning.code + ' ' + warning.line + ' ' + warning.message;
+}), ['PUG:DUPLICATE_MIXIN 14 Mixin constructor is already defined on line 12']);
+var mixinCalls = [
+  {type: 'mixin', line: 1, col: 1, val: 'pair', args: 'a, b'},
+  {type: 'indent', line: 2, col: 1, val: 2},
+  {type: 'code', line: 2, col: 3, val: 'a + b', mustEscape: true, buffer: true},
+  {type: 'outdent', line: 3, col: 1},
+  {type: 'call', line: 3, col: 1, val: 'pair', args: '1, [2, 3]'},
+  {type: 'newline', line: 4, col: 1},
+  {type: 'call', line: 4, col: 1, val: 'pair', args: '1, f(2, 3), 4'},
+  {type: 'newline', line: 5, col: 1},
+  {type: 'call', line: 5, col: 1, val: 'pair', args: '...list'},
+  {type: 'newline', line: 6, col: 1},
+  {type: 'call', line: 6, col: 1, val: 'icon', args: null},
+  {type: 'eos', line: 6, col: 6}
+];
+function mixinWarnings(options) {
+  var warnings = [];
+  options.onWarning = function (warning) {
+    warnings.push(warning.code + ' ' + warning.line + ' ' + warning.message.split('\n').pop());
+  };
+  parse(mixinCalls.slice(), options);
+  return warnings;
+}
+assert.deepEqual(mixinWarnings({}), []);
+assert.deepEqual(mixinWarnings({checkMixins: true}), [
+  'PUG:MIXIN_ARGUMENTS 4 Mixin pair takes 2 arguments but is called with 3',
+  'PUG:UNDEFINED_MIXIN 6 Mixin icon is not defined in this file'
+]);
+assert.deepEqual(mixinWarnings({checkMixins: true, externalMixins: ['icon']}), [
+  'PUG:MIXIN_ARGUMENTS 4 Mixin pair takes 2 arguments but is called with 3'
+]);
+
+console.dir('inheritance');
+function inheritanceErrors(tokens) {
+  return parse(tokens, {recover: true, checkInheritance: true, onWarning: function () {}}).errors.map(function (err) {
+    return err.code + ' ' + err.line + ':' + err.column;
+  });
+}
+testCases.forEach(function (filename) {
+  assert.deepEqual(inheritanceErrors(parseNewlineJson(read(filename))), [], filename);
+});
+// a partial with `append` or `prepend` may be included into a template that
+// extends another
+assert.deepEqual(parse(parseNewlineJson(read('inline-block-comment.tokens.json')), {
+  recover: true,
+  checkInheritance: true,
+  onWarning: function () {}
+}).warnings.map(function (warning) {
+  return warning.code + ' ' + warning.line + ':' + warning.column;
+}), [
+  'PUG:UNEXPECTED_BLOCK_MODE 2:1',
+  'PUG:UNEXPECTED_BLOCK_MODE 3:1'
+]);
+assert.deepEqual(inheritanceErrors([
+  {type: 'comment', line: 1, col: 1, val: ' layout', buffer: false},
+  {type: 'newline', line: 2, col: 1},
+  {type: 'extends', line: 2, col: 1},
+  {type: 'path', line: 2, col: 9, val: 'layout.pug'},
+  {type: 'newline', line: 3, col: 1},
+  {type: 'code', line: 3, col: 1, val: 'var title = 1', mustEscape: false, buffer: false},
+  {type: 'newline', line: 4, col: 1},
+  {type: 'tag', line: 4, col: 1, val: 'p'},
+  {type: 'newline', line: 5, col: 1},
+  {type: 'block', line: 5, col: 1, val: 'content', mode: 'replace'},
+  {type: 'indent', line: 6, col: 1, val: 2},
+  {type: 'extends', line: 6, col: 3},
+  {type: 'path', line: 6, col: 11, val: 'other.pug'},
+  {type: 'newline', line: 7, col: 3},
+  {type: 'yield', line: 7, col: 3},
+  {type: 'outdent', line: 8, col: 1},
+  {type: 'block', line: 8, col: 1, val: 'content', mode: 'replace'},
+  {type: 'newline', line: 9, col: 1},
+  {type: 'block', line: 9, col: 1, val: 'content', mode: 'append'},
+  {type: 'eos', line: 9, col: 21}
+]), [
+  'PUG:EXTENDS_NOT_FIRST 6:3',
+  'PUG:UNEXPECTED_YIELD 7:3',
+  'PUG:DUPLICATE_BLOCK 8:1',
+  'PUG:UNEXPECTED_NODES_IN_EXTENDING_ROOT 4:1'
+]);
+assert.deepEqual(inheritanceErrors([
+  {type: 'yield', line: 1, col: 1},
+  {type: 'newline', line: 2, col: 1},
+  {type: 'yield', line: 2, col: 1},
+  {type: 'eos', line: 2, col: 6}
+]), ['PUG:UNEXPECTED_YIELD 2:1']);
+assert.throws(function () {
+  parse([
+    {type: 'tag', line: 1, col: 1, val: 'p'},
+    {type: 'newline', line: 2, col: 1},
+    {type: 'extends', line: 2, col: 1},
+    {type: 'path', line: 2, col: 9, val: 'layout.pug'},
+    {type: 'eos', line: 2, col: 19}
+  ], {checkInheritance: true});
+}, function (err) {
+  return err.code === 'PUG:EXTENDS_NOT_FIRST' && err.line === 2;
+});
+
+console.dir('dependencies');
+function includeTokens(file) {
+  return [
+    {type: 'include', line: 1, col: 1},
+    {type: 'path', line: 1, col: 9, val: file},
+    {type: 'eos', line: 1, col: 9 + file.length}
+  ];
+}
+var graph = parse.dependencies({
+  'views/page.pug': parse(parseNewlineJson(read('inheritance.extend.include.tokens.json'))),
+  'views/filters.pug': parse(parseNewlineJson(read('filters.include.tokens.json'))),
+  'views/auxiliary/layout.include.pug': parse(includeTokens('../mixins.pug')),
+  'views/mixins.pug': parse(includeTokens('/auxiliary/layout.include.pug'))
+}, {basedir: 'views'});
+assert.deepEqual(graph.files['views/page.pug'], [{
+  type: 'Extends',
+  path: 'auxiliary/layout.include.pug',
+  resolved: 'views/auxiliary/layout.include.pug',
+  filters: [],
+  line: 2,
+  column: 8
+}]);
+assert.deepEqual(graph.files['views/filters.pug'].map(function (reference) {
+  return reference.type + ' ' + reference.resolved + ' ' + reference.filters[0].name;
+}), [
+  'RawInclude views/some.md markdown-it',
+  'RawInclude views/include-filter-coffee.coffee coffee-script',
+  'RawInclude views/include-filter-coffee.coffee coffee-script'
+]);
+assert.deepEqual(graph.dependencies('views/filters.pug'), ['views/some.md', 'views/include-filter-coffee.coffee']);
+assert.deepEqual(graph.dependencies('views/page.pug', true), ['views/auxiliary/layout.include.pug', 'views/mixins.pug']);
+assert.deepEqual(graph.dependents('./views/mixins.pug'), ['views/auxiliary/layout.include.pug']);
+assert.deepEqual(graph.dependents('views/mixins.pug', true), ['views/auxiliary/layout.include.pug', 'views/page.pug']);
+assert.deepEqual(graph.cycles, [['views/auxiliary/layout.include.pug', 'views/mixins.pug', 'views/auxiliary/layout.include.pug']]);
+assert.deepEqual(parse.dependencies(parse(includeTokens('b.pug')), {filename: 'a.pug'}).dependencies('a.pug'), ['b.pug']);
+var namedAsts = Object.create(null);
+namedAsts['constructor'] = parse(includeTokens('toString'));
+namedAsts['toString'] = parse(includeTokens('__proto__'));
+namedAsts['__proto__'] = parse(includeTokens('constructor'));
+var namedGraph = parse.dependencies(namedAsts);
+assert.deepEqual(namedGraph.dependents('toString'), ['constructor']);
+assert.deepEqual(namedGraph.dependencies('constructor', true), ['toString', '__proto__']);
+assert.deepEqual(namedGraph.cycles, [['constructor', 'toString', '__proto__', 'constructor']]);
+assert.throws(function () {
+  parse.dependencies(parse(includeTokens('/b.pug')), {filename: 'a.pug'});
+}, function (err) {
+  return err.code === 'PUG:NO_BASEDIR' && err.line === 1;
+});
+
+console.dir('source map');
+var mapSrc = "div\n  a(href='x') link\n";
+var mapAst = parse([
+  {type: 'tag', line: 1, col: 1, val: 'div'},
+  {type: 'indent', line: 2, col: 1, val: 2},
+  {type: 'tag', line: 2, col: 3, val: 'a'},
+  {type: 'start-attributes', line: 2, col: 4},
+  {type: 'attribute', line: 2, col: 5, name: 'href', val: "'x'", mustEscape: true},
+  {type: 'end-attributes', line: 2, col: 13},
+  {type: 'text', line: 2, col: 15, val: 'link'},
+  {type: 'outdent', line: 3, col: 1},
+  {type: 'eos', line: 3, col: 1}
+], {filename: 'map.pug', src: mapSrc, sourceMap: true});
+var mapLink = mapAst.nodes[0].block.nodes[0];
+assert.equal(mapSrc.slice(mapLink.offset, mapLink.endOffset), "a(href='x') link");
+assert.equal(mapSrc.slice(mapLink.attrs[0].offset, mapLink.attrs[0].endOffset), "href='x'");
+assert.deepEqual(parse.validate(mapAst), []);
+var map = new parse.SourceMap({file: 'map.js', filename: 'map.pug', src: mapSrc});
+map.add({line: 3, column: 4}, mapLink);
+map.add({line: 1, column: 0}, mapAst.nodes[0]);
+map.add({line: 3, column: 10}, mapLink.attrs[0]);
+map.add({line: 4, column: 2}, mapLink.block.nodes[0]);
+assert.deepEqual(JSON.parse(map.toString()), {
+  version: 3,
+  file: 'map.js',
+  sources: ['map.pug'],
+  sourcesContent: [mapSrc],
+  names: ['a', 'div', 'href'],
+  mappings: 'AAAAC;;IACED,MAAEE;EAAU'
+});
+assert.throws(function () {
+  parse([{type: 'eos', line: 1, col: 1}], {sourceMap: true});
+}, /"src" option is required/);
+
+console.dir('walk');
+var walkAst = parse(parseNewlineJson(read('case.tokens.json')));
+var entered = [];
+var exited = [];
+parse.walk(walkAst, {
+  enter: function (node) {
+    entered.push(node.type);
+  },
+  When: {
+    exit: function (node, context) {
+      exited.push(node.expr + ' ' + context.path.join('.'));
+    }
+  }
+});
+assert.equal(entered.filter(function (type) { return type === 'When'; }).length, 6);
+assert.deepEqual(exited.slice(0, 3), [
+  '0 nodes.0.block.nodes.0.block.nodes.1.block.nodes.0',
+  '1 nodes.0.block.nodes.0.block.nodes.1.block.nodes.1',
+  'default nodes.0.block.nodes.0.block.nodes.1.block.nodes.2'
+]);
+var transformed = parse.transform(walkAst, {
+  Case: function () {
+    return null;
+  },
+  Code: function (node, context) {
+    assert.equal(context.parent.type, 'Block');
+    return [node, {type: 'Comment', val: ' after code', buffer: false}];
+  }
+});
+assert.deepEqual(transformed.nodes[0].block.nodes[0].block.nodes.map(function (node) {
+  return node.type;
+}), ['Code', 'Comment', 'Code', 'Comment']);
+assert.throws(function () {
+  parse.walk(walkAst, {
+    enter: function (node, context) {
+      context.remove();
+    }
+  });
+}, /root node cannot be removed/);
+
+console.dir('recover');
+var recovered = parse([
+  {type: 'tag', line: 1, col: 1, val: 'div'},
+  {type: 'indent', line: 2, col: 1, val: 2},
+  {type: 'mixin', line: 2, col: 3, val: 'foo', args: null},
+  {type: 'newline', line: 3, col: 1},
+  {type: 'case', line: 3, col: 3, val: 'x'},
+  {type: 'indent', line: 4, col: 1, val: 4},
+  {type: 'tag', line: 4, col: 5, val: 'p'},
+  {type: 'outdent', line: 5, col: 1},
+  {type: 'tag', line: 5, col: 3, val: 'span'},
+  {type: 'outdent', line: 6, col: 1},
+  {type: 'eos', line: 6, col: 1}
+], {filename: 'recover.pug', recover: true});
+assert.deepEqual(recovered.errors.map(function (err) {
+  return err.code + ' ' + err.line + ':' + err.column;
+}), ['PUG:MIXIN_WITHOUT_BODY 2:3', 'PUG:INVALID_TOKEN 4:5']);
+assert.deepEqual(recovered.ast.nodes[0].block.nodes.map(function (node) {
+  return node.type;
+}), ['Error', 'Error', 'Tag']);
+
+console.dir('warnings');
+var multipleAttributes = [
+  {type: 'tag', line: 1, col: 1, val: 'a'},
+  {type: 'start-attributes', line: 1, col: 2},
+  {type: 'attribute', line: 1, col: 3, name: 'href', val: "'/'", mustEscape: true},
+  {type: 'end-attributes', line: 1, col: 11},
+  {type: 'start-attributes', line: 1, col: 12},
+  {type: 'attribute', line: 1, col: 13, name: 'title', val: "'home'", mustEscape: true},
+  {type: 'end-attributes', line: 1, col: 25},
+  {type: 'eos', line: 1, col: 26}
+];
+var warnings = [];
+parse(multipleAttributes.slice(), {filename: 'warnings.pug', onWarning: function (warning) {
+  warnings.push(warning);
+}});
+assert.deepEqual(warnings, [{
+  code: 'PUG:MULTIPLE_ATTRIBUTES',
+  message: 'You should not have pug tags with multiple attributes.',
+  line: 1,
+  column: 12,
+  filename: 'warnings.pug'
+}]);
+assert.throws(function () {
+  parse(multipleAttributes.slice(), {filename: 'warnings.pug', warningsAsErrors: ['MULTIPLE_ATTRIBUTES']});
+}, function (err) {
+  return err.code === 'PUG:MULTIPLE_ATTRIBUTES';
+});
+var consoleWarn = console.warn;
+var printed = [];
+console.warn = function (message) {
+  printed.push(message);
+};
+try {
+  parse(multipleAttributes.slice(), {filename: 'warnings.pug'});
+  parse(multipleAttributes.slice());
+} finally {
+  console.warn = consoleWarn;
+}
+assert.deepEqual(printed, [
+  'warnings.pug, line 1:\nYou should not have pug tags with multiple attributes.',
+  'line 1:\nYou should not have pug tags with multiple attributes.'
+]);
+
+console.dir('reparse');
+function reparseTokens(text) {
+  return [
+    {type: 'tag', line: 1, col: 1, val: 'div'},
+    {type: 'indent', line: 2, col: 1, val: 2},
+    {type: 'tag', line: 2, col: 3, val: 'p'},
+    {type: 'text', line: 2, col: 5, val: text},
+    {type: 'outdent', line: 3, col: 1},
+    {type: 'tag', line: 3, col: 1, val: 'span'},
+    {type: 'eos', line: 3, col: 5}
+  ];
+}
+var previousAst = parse(reparseTokens('before'), {filename: 'reparse.pug'});
+var reparsedAst = parse.Parser.reparse(previousAst, reparseTokens('before'), reparseTokens('after!'), {
+  line: 2,
+  endLine: 2
+}, {filename: 'reparse.pug'});
+assert.deepEqual(reparsedAst, parse(reparseTokens('after!'), {filename: 'reparse.pug'}));
+assert(reparsedAst.nodes[1] === previousAst.nodes[1], 'nodes after the edit should be reused');
+var mappedAst = parse(reparseTokens('before'), {src: 'div\n  p before\nspan', sourceMap: true});
+var mappedOptions = {src: 'div\n  p after it\nspan', sourceMap: true};
+var remappedAst = parse.Parser.reparse(mappedAst, reparseTokens('before'), reparseTokens('after it'), {
+  line: 2,
+  endLine: 2
+}, mappedOptions);
+assert.deepEqual(remappedAst, parse(reparseTokens('after it'), mappedOptions));
+assert.equal(remappedAst.nodes[1].offset, 17);
+assert.equal(mappedAst.nodes[1].offset, 15);
+function nestingTokens(text) {
+  return [
+    {type: 'tag', line: 1, col: 1, val: 'p'},
+    {type: 'indent', line: 2, col: 1, val: 2},
+    {type: 'tag', line: 2, col: 3, val: 'div'},
+    {type: 'newline', line: 3, col: 1},
+    {type: 'tag', line: 3, col: 3, val: 'span'},
+    {type: 'text', line: 3, col: 8, val: text},
+    {type: 'outdent', line: 4, col: 1},
+    {type: 'eos', line: 4, col: 1}
+  ];
+}
+var nestingOptions = {recover: true, contentModel: true, validate: true, onWarning: function () {}};
+var nestingResult = parse.Parser.reparse(parse(nestingTokens('before'), nestingOptions), nestingTokens('before'), nestingTokens('after'), {
+  line: 3,
+  endLine: 3
+}, nestingOptions);
+var nestingExpected = parse(nestingTokens('after'), nestingOptions);
+assert.deepEqual(nestingResult, nestingExpected);
+assert.equal(nestingResult.warnings.length, 1);
+
+console.dir('cst');
+var cstSrc = 'div\n\n  case x\n    // first\n    when 1\n\n    //- last\n';
+var cstAst = parse([
+  {type: 'tag', line: 1, col: 1, val: 'div'},
+  {type: 'indent', line: 3, col: 1, val: 2},
+  {type: 'case', line: 3, col: 3, val: 'x'},
+  {type: 'indent', line: 4, col: 1, val: 4},
+  {type: 'comment', line: 4, col: 5, val: ' first', buffer: true},
+  {type: 'newline', line: 5, col: 1},
+  {type: 'when', line: 5, col: 5, val: '1'},
+  {type: 'newline', line: 7, col: 1},
+  {type: 'comment', line: 7, col: 5, val: ' last', buffer: false},
+  {type: 'outdent', line: 8, col: 1},
+  {type: 'outdent', line: 8, col: 1},
+  {type: 'eos', line: 8, col: 1}
+], {filename: 'cst.pug', src: cstSrc, cst: true});
+var cstCase = cstAst.nodes[0].block.nodes[0];
+assert.deepEqual(cstCase.leadingTrivia, [{type: 'BlankLines', count: 1, line: 2}]);
+assert.equal(cstCase.block.nodes[0].leadingTrivia[0].val, ' first');
+assert.deepEqual(cstCase.block.trailingTrivia.map(function (trivia) {
+  return trivia.type;
+}), ['BlankLines', 'Comment']);
+assert.equal(cstCase.block.indent, '    ');
+assert.equal(parse.print(cstAst), cstSrc);
+assert.deepEqual(parse.validate(cstAst), []);
+var tabSrc = 'ul\n\tli\n\t\tspan\n';
+var tabAst = parse([
+  {type: 'tag', line: 1, col: 1, val: 'ul'},
+  {type: 'indent', line: 2, col: 1, val: 1},
+  {type: 'tag', line: 2, col: 2, val: 'li'},
+  {type: 'indent', line: 3, col: 1, val: 2},
+  {type: 'tag', line: 3, col: 3, val: 'span'},
+  {type: 'outdent', line: 4, col: 2},
+  {type: 'outdent', line: 4, col: 1},
+  {type: 'eos', line: 4, col: 1}
+], {src: tabSrc, cst: true});
+assert.equal(parse.print(tabAst), tabSrc);
+assert.equal(parse.print(tabAst, {indent: '    '}), tabSrc);
+delete tabAst.nodes[0].block.indent;
+assert.equal(parse.print(tabAst), 'ul\n  li\n    span\n');
+var pipedSrc = 'p\n  | a\n\n  | b\n\n\n  | c\n';
+var pipedAst = parse(lex(pipedSrc), {src: pipedSrc, cst: true});
+assert.deepEqual(pipedAst.nodes[0].block.nodes[0].nodes[2].leadingTrivia, [{type: 'BlankLines', count: 1, line: 3}]);
+assert.equal(parse.print(pipedAst), pipedSrc);
+assert.equal(parse.print(parse(lex(pipedSrc), {src: pipedSrc, cst: true, normalizeText: true})), pipedSrc);
 
 console.log('tests passed');
+
+function asyncTokens(tokens) {
+  var iterator = {
+    next: function () {
+      return Promise.resolve(tokens.length ? {done: false, value: tokens.shift()} : {done: true});
+    }
+  };
+  iterator[Symbol.asyncIterator] = function () {
+    return iterator;
+  };
+  return iterator;
+}
+
+testCases.reduce(function (previous, filename) {
+  return previous.then(function () {
+    var expectedAst = JSON.parse(read(filename.replace(/\.tokens\.json$/, '.expected.json')));
+    return parse.async(asyncTokens(parseNewlineJson(read(filename))), {filename: filename}).then(function (actualAst) {
+      assert.deepEqual(actualAst, expectedAst);
+    });
+  });
+}, Promise.resolve()).then(function () {
+  var listTokens = [{type: 'tag', line: 1, col: 1, val: 'ul'}, {type: 'indent', line: 2, col: 1, val: 2}];
+  for (var i = 0; i < 200; i++) {
+    if (i) listTokens.push({type: 'newline', line: i * 2 + 2, col: 1});
+    listTokens.push(
+      {type: 'tag', line: i * 2 + 2, col: 3, val: 'li'},
+      {type: 'indent', line: i * 2 + 3, col: 1, val: 4},
+      {type: 'custom', line: i * 2 + 3, col: 5, val: 'a'},
+      {type: 'outdent', line: i * 2 + 4, col: 1}
+    );
+  }
+  listTokens.push({type: 'outdent', line: 402, col: 1}, {type: 'eos', line: 402, col: 1});
+  var calls = 0;
+  var countingPlugin = customPlugin('counted', 'a');
+  var handler = countingPlugin.expressionTokens.custom;
+  countingPlugin.expressionTokens.custom = function (parser) {
+    calls++;
+    return handler(parser);
+  };
+  var expectedList = parse(listTokens.slice(), {plugins: [countingPlugin]});
+  var syncCalls = calls;
+  calls = 0;
+  return parse.async(asyncTokens(listTokens.slice()), {plugins: [countingPlugin]}).then(function (actualList) {
+    assert.deepEqual(actualList, expectedList);
+    assert.equal(calls, syncCalls, 'plugin handlers should be called once for each token');
+  });
+}).then(function () {
+  // a template with a single root is parsed as its tokens arrive, rather than
+  // buffered until the root is complete
+  var deepTokens = [
+    {type: 'tag', line: 1, col: 1, val: 'html'},
+    {type: 'indent', line: 2, col: 1, val: 2},
+    {type: 'tag', line: 2, col: 3, val: 'body'},
+    {type: 'indent', line: 3, col: 1, val: 4},
+    {type: 'tag', line: 3, col: 5, val: 'ul'},
+    {type: 'indent', line: 4, col: 1, val: 6}
+  ];
+  for (var i = 0; i < 2000; i++) {
+    if (i) deepTokens.push({type: 'newline', line: i * 2 + 4, col: 1});
+    deepTokens.push(
+      {type: 'tag', line: i * 2 + 4, col: 7, val: 'li'},
+      {type: 'indent', line: i * 2 + 5, col: 1, val: 8},
+      {type: 'custom', line: i * 2 + 5, col: 9, val: 'a'},
+      {type: 'outdent', line: i * 2 + 6, col: 7}
+    );
+  }
+  deepTokens.push(
+    {type: 'outdent', line: 4004, col: 5},
+    {type: 'outdent', line: 4004, col: 3},
+    {type: 'outdent', line: 4004, col: 1},
+    {type: 'eos', line: 4004, col: 1}
+  );
+  var expectedDeep = parse(deepTokens.slice(), {plugins: [customPlugin('probe', 'a')]});
+  var buffered = 0;
+  var probe = customPlugin('probe', 'a');
+  var handler = probe.expressionTokens.custom;
+  probe.expressionTokens.custom = function (parser) {
+    buffered = Math.max(buffered, parser.tokens.buffered());
+    return handler(parser);
+  };
+  return parse.async(asyncTokens(deepTokens.slice()), {plugins: [probe]}).then(function (actualDeep) {
+    assert.deepEqual(actualDeep, expectedDeep);
+    assert(buffered < 50, buffered + ' tokens were buffered');
+  });
+}).then(function () {
+  return parse.async(asyncTokens(eachTokens.slice()), {plugins: [sortedPlugin]}).then(function (actualEach) {
+    assert.deepEqual(actualEach, eachAst);
+  });
+}).then(function () {
+  var blankTokens = [
+    {type: 'tag', line: 1, col: 1, val: 'p'},
+    {type: 'newline', line: 4, col: 1},
+    {type: 'eos', line: 4, col: 1}
+  ];
+  return parse.async(asyncTokens(blankTokens), {src: 'p\n\n\n', cst: true}).then(function (blankAst) {
+    assert.equal(blankAst.indent, '');
+    assert.equal(parse.print(blankAst), 'p\n\n\n');
+  });
+}).then(function () {
+  console.log('async tests passed');
+}).then(null, function (err) {
+  console.error(err.stack);
+  process.exit(1);
+});